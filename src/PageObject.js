@@ -1,6 +1,13 @@
 import { render, unmount, fireEvent, prettyDOM } from '@testing-library/react';
 import PageSelector from './PageSelector';
-import { waitForMe } from './util';
+import { configure, getOption, getTimeout } from './config';
+import { createDataTransfer, createDataTransferEvent } from './dataTransfer';
+import { keyboardDrag, pointerDrag } from './drag';
+import { getFocusOrder } from './focus';
+import { tab } from './keyboard';
+import { click } from './pointer';
+import { getCustomElementNames, isQueryDescriptor, queryAll, selectorToString } from './queries';
+import { after, getFrameRoot, getWindow, isFrameLoaded, waitForMe } from './util';
 
 
 /*
@@ -21,10 +28,44 @@ function getSelector(target, prop) {
       'passes additional selectors to the constructor.'
     );
   }
-  const selector = target.allSelectors[prop] || `[data-test=${prop}]`;
+  const attribute = getOption(target, 'testIdAttribute') || 'data-test';
+  const selector = target.allSelectors[prop] || `[${attribute}=${prop}]`;
   return selector;
 };
 
+/*
+ * Normalize a selector definition into the query used to find
+ * elements, the (optional) PageObject class used to wrap
+ * each matching element and the (optional) root to select within.
+ * Selectors can be defined as a plain selector,
+ * a `[selector, PageObjectClass]` pair or an object
+ * like `{selector, pageObject, root}`.
+ *
+ * @param {string|Array|object} definition - The selector definition
+ *   from the PageObject selector list.
+ * @return {object} An object with `selector`, `pageObject` and `root` keys.
+ */
+function parseSelector(definition) {
+  if (Array.isArray(definition)) {
+    const [selector, pageObject] = definition;
+    return { selector, pageObject };
+  } else if (isQueryDescriptor(definition)) {
+    // Query descriptors can use the Testing Library `selector`
+    // option (ex. `{label: 'Email', selector: 'input'}`).
+    return { selector: definition };
+  } else if (definition && typeof(definition) === 'object' && 'selector' in definition) {
+    return definition;
+  } else {
+    return { selector: definition };
+  }
+}
+
+/*
+ * Strings that can be the name of a selector (or a test id) when
+ * given as the target of a drag, drop or paste.
+ */
+const SELECTOR_NAME = /^[\w-]+$/;
+
 /*
  * Get the root element from the target PageObject.
  * Log an error if the root element isn't set.
@@ -42,6 +83,61 @@ function getRoot(target) {
   return target.root;
 };
 
+/*
+ * Get the element that a selector should select within.
+ * If no root is given, the PageObject root is used.
+ * Otherwise, the root can be the name of one of the
+ * PageObject `roots` (`body` always refers to `document.body`),
+ * an HTMLElement, a function returning an HTMLElement or
+ * a CSS selector to search for in the document.
+ *
+ * @param {PageObject} target - The PageObject the selector belongs to.
+ * @param {string|HTMLElement|function} [root] - The root to resolve.
+ */
+function getSelectorRoot(target, root) {
+  if (!root) {
+    return getRoot(target);
+  }
+
+  // Use the document the PageObject is rendered in (ex. an iframe document).
+  const doc = target.root ? target.root.ownerDocument || target.root : document;
+  const roots = {
+    body: doc.body,
+    ...target.roots,
+  };
+  let element = typeof(root) === 'string' && root in roots
+    ? roots[root]
+    : root;
+
+  if (typeof(element) === 'function') {
+    element = element();
+  } else if (typeof(element) === 'string') {
+    element = doc.body.querySelector(element);
+  }
+
+  if (!element) {
+    throw new Error(
+      `Could not find the root "${root}" for "${target.constructor.name}". ` +
+      `Make sure it is rendered or defined in "${target.constructor.name}.roots".`
+    );
+  }
+  return element;
+};
+
+/*
+ * Describe an element that doesn't match any of the selectors
+ * of a PageObject, ex. `input#email` or `button[name="save"]`.
+ */
+function describeElement(element) {
+  const tag = element.tagName.toLowerCase();
+  if (element.id) {
+    return `${tag}#${element.id}`;
+  } else if (element.getAttribute('name')) {
+    return `${tag}[name="${element.getAttribute('name')}"]`;
+  }
+  return tag;
+}
+
 /*
  * PageObjects allow you to encapsulate the query selector logic
  * for a component/page test into a reusable object. This has the
@@ -157,8 +253,81 @@ function getRoot(target) {
  *   page.submit.myForm();
  * });
  * ```
+ *
+ * Strict mode:
+ * By default, selectors that don't match anything return `null` elements.
+ * In strict mode, accessing the element of a selector that doesn't match
+ * anything throws an error describing the selector, PageObject and root.
+ *
+ * ```js
+ * // Globally
+ * PageObject.configure({ strict: true });
+ * // Or for a single PageObject (also throw if multiple elements match)
+ * class MyPageObject extends PageObject {
+ *   strict = { missing: true, ambiguous: true };
+ * }
+ * ```
+ *
+ * Nested PageObjects:
+ * A selector can also be defined as a `[selector, PageObjectClass]` pair.
+ * Calling `nth()` on that selector will return an instance of
+ * `PageObjectClass` rooted at the matching element.
+ *
+ * ```js
+ * class CardPageObject extends PageObject {
+ *   selectors = { title: '[data-test=title]' };
+ * }
+ *
+ * class DashboardPageObject extends PageObject {
+ *   selectors = { card: ['[data-test=card]', CardPageObject] };
+ * }
+ *
+ * expect(page.card.nth(2).title.text).toEqual('Third Card');
+ * ```
+ *
+ * Portals:
+ * Selectors are scoped to `page.root` by default. Elements rendered
+ * outside of the component (ex. modals rendered with `createPortal`)
+ * can be selected by giving the selector a `root`. The root can be
+ * `body` (for `document.body`) or the name of one of your `roots`.
+ *
+ * ```js
+ * class MyPageObject extends PageObject {
+ *   roots = { overlays: '#overlay-root' };
+ *   selectors = {
+ *     dialog: { selector: '[role=dialog]', root: 'body' },
+ *     toast: { selector: '[data-test=toast]', root: 'overlays' },
+ *   };
+ * }
+ * ```
  */
 export default class PageObject {
+  /*
+   * Change the global configuration for all PageObjects. Each option
+   * can be overridden by setting a property with the same name
+   * on a PageObject.
+   *
+   * @param {object} options
+   * @param {boolean|object} [options.strict] - Throw an error when a selector
+   *   doesn't match any elements. Pass `{missing: true, ambiguous: true}`
+   *   to also throw when a selector matches more than one element.
+   * @param {string} [options.testIdAttribute] - The attribute used to select
+   *   properties that aren't defined in `selectors` (default `data-test`).
+   * @param {number} [options.defaultTimeout] - The default `await()` timeout in ms.
+   * @param {number} [options.pollInterval] - How often `await()` checks the DOM in ms.
+   * @param {boolean} [options.warnOnConflicts] - Warn when a selector name
+   *   conflicts with a PageObject property.
+   * @param {number|false} [options.dropDelay] - The ms between the drag
+   *   events and the drop of the drop methods (ex. `dropFiles`).
+   * @param {number|false} [options.settleDelay] - The ms the drop methods
+   *   wait after the drop before resolving.
+   * @param {object} [options.sandboxIds] - The `{root, app, styles}` ids
+   *   of the elements created by `render()`.
+   */
+  static configure(options) {
+    return configure(options);
+  }
+
   /*
    * @param {HTMLElement} [root] The DOM element to use as the root
    *   from which DOM selections are made. If you don't pass a root
@@ -168,17 +337,27 @@ export default class PageObject {
     this._root = root;
     this.sandbox = null;
     this.additionalSelectors = selectors;
-
-    this.sandboxIds = {
-      root: 'sandbox-root',
-      app: 'sandbox-app',
-      styles: 'sandbox-styles',
-    };
+    // Named elements that selectors can use as their root.
+    this.roots = {};
+    // Override the global configuration for this PageObject.
+    // See `PageObject.configure()`.
+    this.strict = null;
+    this.testIdAttribute = null;
+    this.defaultTimeout = null;
+    this.pollInterval = null;
+    this.warnOnConflicts = null;
+    this.dropDelay = null;
+    this.settleDelay = null;
+    // The `sandboxIds` overrides (see the `sandboxIds` accessor).
+    this.sandboxIdOverrides = null;
 
     return new Proxy(this, {
       get(target, prop, receiver) {
         if (prop in target) {
-          if (target.allSelectors[prop]) {
+          if (
+            Object.prototype.hasOwnProperty.call(target.allSelectors, prop) &&
+            getOption(target, 'warnOnConflicts')
+          ) {
             console.warn(
               `Selector name "${prop}" conflicts with an existing PageObject property.
                Consider renaming "selectors.${prop}".`
@@ -186,18 +365,54 @@ export default class PageObject {
           }
           return Reflect.get(target, prop, receiver);
         } else {
+          const { selector, pageObject, root } = parseSelector(getSelector(target, prop));
           return new PageSelector(
-            getSelector(target, prop),
-            getRoot(target),
+            selector,
+            getSelectorRoot(target, root),
+            pageObject,
+            { name: prop, page: receiver },
           );
         }
-      }
+      },
+      // Class properties are defined rather than assigned so
+      // `sandboxIds = {...}` in a subclass would replace the
+      // `sandboxIds` accessor. Route it through the setter instead.
+      defineProperty(target, prop, descriptor) {
+        if (prop === 'sandboxIds' && 'value' in descriptor) {
+          target.sandboxIds = descriptor.value;
+          return true;
+        }
+        return Reflect.defineProperty(target, prop, descriptor);
+      },
     });
   }
 
   // TODO Rename root -> element for consistency with PageSelector
+  /*
+   * If the root passed to the constructor is an iframe, the root
+   * is the `<html>` element of the document loaded in that frame.
+   */
   get root() {
-    return this._root ? this._root : this.sandbox;
+    return this._root ? getFrameRoot(this._root) : this.sandbox;
+  }
+
+  /*
+   * The `{root, app, styles}` ids of the sandbox elements. These are the
+   * configured `sandboxIds` merged with the ids set on this PageObject.
+   *
+   * Example:
+   * page.sandboxIds = { root: 'preview-root' };
+   * page.sandboxIds; // {root: 'preview-root', app: 'sandbox-app', styles: 'sandbox-styles'}
+   */
+  get sandboxIds() {
+    return {
+      ...getOption(null, 'sandboxIds'),
+      ...this.sandboxIdOverrides,
+    };
+  }
+
+  set sandboxIds(ids) {
+    this.sandboxIdOverrides = ids;
   }
 
   get allSelectors() {
@@ -327,6 +542,26 @@ export default class PageObject {
     return this.root.querySelector(`[data-test=${testName}]`);
   }
 
+  /*
+   * Wait for the root of this PageObject to be ready for selection.
+   * If this PageObject is rooted at an iframe, this waits for the
+   * frame's content to finish loading.
+   *
+   * Example:
+   * const preview = new PreviewPageObject(iframeElement);
+   * await preview.await();
+   * expect(preview.title.text).toEqual('Preview');
+   */
+  [ 'await' ](timeout) {
+    const page = this;
+    return waitForMe(() => {
+      const frame = page._root && page._root.tagName === 'IFRAME' ? page._root : null;
+      if (frame ? !isFrameLoaded(frame) : !page.root) {
+        throw new Error(`await timed out waiting for the "${page.constructor.name}" root to load.`);
+      }
+    }, getTimeout(page, timeout), getOption(page, 'pollInterval'));
+  }
+
   /**
    * Wait for the `test` callback to return true.
    */
@@ -337,7 +572,190 @@ export default class PageObject {
         const message = test.toSource ? test.toSource() : test.toString();
         throw new Error(`waitFor timed out waiting for test: ${message} \n${prettyDOM(selector.root)}`);
       }
-    }, timeout);
+    }, getTimeout(selector, timeout), getOption(selector, 'pollInterval'));
+  }
+
+  /*
+   * Wait for all of the custom elements used inside of `page.root`
+   * (including inside of open shadow roots) to be defined with
+   * `customElements.define`. The returned promise rejects with the
+   * list of undefined elements if they aren't defined within `timeout` ms.
+   */
+  awaitCustomElements(timeout) {
+    const names = getCustomElementNames(this.root);
+    const registry = this.root.ownerDocument.defaultView.customElements;
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const undefinedNames = names.filter((name) => !registry.get(name));
+        reject(new Error(
+          `awaitCustomElements timed out waiting for the following ` +
+          `custom elements to be defined: ${undefinedNames.join(', ')}`
+        ));
+      }, getTimeout(this, timeout));
+
+      Promise.all(names.map((name) => registry.whenDefined(name)))
+        .then(() => {
+          clearTimeout(timer);
+          resolve(true);
+        });
+    });
+  }
+
+  /*
+   * Press tab (or shift+tab with `{shift: true}`) to move focus to the
+   * next (or previous) element in the focus order of this PageObject
+   * (see `focusOrder`). This dispatches the `keydown`/`keyup` events
+   * for the tab key and `blur`, `focusout`, `focus` and `focusin`
+   * when focus moves. Cancelling `keydown` (ex. in a focus trap)
+   * prevents focus from moving.
+   *
+   * Example:
+   * page.email.focus();
+   * page.tab();
+   * expect(page.password.focused).toBe(true);
+   *
+   * @param {object} [options]
+   * @param {boolean} [options.shift] - Move focus backward.
+   * @return {PageSelector|null} The selector of the focused element.
+   */
+  tab(options) {
+    const element = tab(this.root, options);
+    return element ? this.selectorForElement(element) : null;
+  }
+
+  /*
+   * Get the selectors of the elements inside of this PageObject in the
+   * order that the tab key moves focus through them. Elements with a
+   * positive `tabindex` come first and elements that are disabled, hidden
+   * or have a negative `tabindex` are skipped. Radio groups are a single
+   * stop at their checked radio (or their first radio).
+   *
+   * Example:
+   * expect(page.focusOrder.map((selector) => selector.name))
+   *   .toEqual(['email', 'password', 'submitButton']);
+   *
+   * @return {PageSelector[]}
+   */
+  get focusOrder() {
+    return getFocusOrder(this.root).map((element) => this.selectorForElement(element));
+  }
+
+  /*
+   * @private
+   * Get the element for a target given as an element, a PageSelector,
+   * a selector name (resolved like the selector properties, including
+   * the test id fallback) or a selector (CSS, XPath or query descriptor)
+   * to query inside of the root.
+   *
+   * @param {HTMLElement|PageSelector|string|object} target
+   * @param {string} action - What the element is needed for (for errors).
+   * @return {HTMLElement}
+   */
+  getTargetElement(target, action) {
+    let element;
+    if (target && target.nodeType) {
+      element = target;
+    } else if (target instanceof PageSelector) {
+      element = target.element;
+    } else if (typeof(target) === 'string' && target in this.allSelectors && !(target in this)) {
+      element = this[target].element;
+    } else if (typeof(target) === 'string' && SELECTOR_NAME.test(target)) {
+      // Like the selector properties, other names select by the test id
+      // attribute. Names that don't match a test id (ex. `li`) are CSS.
+      element = queryAll(this.root, getSelector(this, target))[0] ||
+        queryAll(this.root, target)[0];
+    } else if (target) {
+      element = queryAll(this.root, target)[0];
+    }
+
+    if (!element) {
+      const description = target instanceof PageSelector
+        ? target.description
+        : selectorToString(target);
+      throw new Error(`Could not find the element ${description} to ${action}.`);
+    }
+    return element;
+  }
+
+  /*
+   * Drag an element the way a user does with a pointer or the keyboard.
+   * This is meant for drag and drop libraries built on pointer, mouse
+   * or keyboard events like dnd-kit or react-beautiful-dnd. Use
+   * `dragAndDropElement` for native HTML5 drag and drop.
+   *
+   * `from` can be an element, a PageSelector, the name of a selector
+   * of this PageObject or a selector to query inside of the root.
+   * The returned object has two ways to finish the drag:
+   *
+   * `to(target, options)` presses the mouse on `from`, moves it to the
+   * center of `target` (any of the types accepted for `from`) or the
+   * `{x, y}` client coordinates in `options.steps` interpolated moves
+   * and releases it. `options.holdMs` waits before the first move and
+   * `options.delay` waits between moves.
+   *
+   * `withKeyboard(keys, options)` focuses `from`, presses space to pick
+   * it up, presses the `keys` (ex. `'{arrowdown}{arrowdown}'`) and
+   * presses space to drop it. `options.pickUpKey`, `options.dropKey`
+   * and `options.delay` (between key presses) can be changed.
+   *
+   * Example:
+   * await page.drag(page.card.nth(0)).to(page.column.nth(2), { steps: 20 });
+   * await page.drag('card').to({ x: 200, y: 40 });
+   * await page.drag(page.card.nth(0)).withKeyboard('{arrowdown}');
+   *
+   * @param {HTMLElement|PageSelector|string|object} from
+   * @return {object} An object with `to` and `withKeyboard` methods
+   *   that return a promise resolved once the element is dropped.
+   */
+  drag(from) {
+    const source = this.getTargetElement(from, 'drag');
+    return {
+      to: (target, options) => {
+        const destination = target && !target.nodeType && !(target instanceof PageSelector) &&
+          typeof(target.x) === 'number' && typeof(target.y) === 'number'
+          ? target
+          : this.getTargetElement(target, 'drag to');
+        return pointerDrag(source, destination, options);
+      },
+      withKeyboard: (keys, options) => keyboardDrag(source, keys, options),
+    };
+  }
+
+  /*
+   * @private
+   * Get a PageSelector for `element`. If one of the selectors of this
+   * PageObject matches `element`, the PageSelector has its name.
+   */
+  selectorForElement(element) {
+    const name = Object.keys(this.allSelectors).find((key) => {
+      // Skip names that conflict with PageObject properties
+      // and selectors whose root isn't rendered.
+      if (key in this) {
+        return false;
+      }
+      try {
+        return Array.from(this[key].allElements).includes(element);
+      } catch (e) {
+        return false;
+      }
+    });
+
+    if (name) {
+      const source = this[name];
+      const elements = Array.from(source.allElements);
+      if (elements.length === 1) {
+        return source;
+      }
+      const index = elements.indexOf(element);
+      const selector = () => [element];
+      selector.toString = () => `${source.description}.nth(${index})`;
+      return source.derive(selector, source.root);
+    }
+
+    const selector = () => [element];
+    selector.toString = () => describeElement(element);
+    return new PageSelector(selector, this.root, null, { page: this });
   }
 
   /*
@@ -351,164 +769,240 @@ export default class PageObject {
   }
 
   /*
-   * Simulate a click event on an elment.
+   * Simulate a user clicking on an element (see `PageSelector.click`).
    */
-  clickElement(element) {
-    fireEvent.click(element);
+  clickElement(element, options) {
+    return click(element, options);
   }
 
-  dispatchEvent(element, eventName, eventConstructor = CustomEvent, options = {}) {
+  /*
+   * Dispatch an event from an element. By default, the event is a
+   * CustomEvent created with the event constructors and `view`
+   * of the window the element belongs to (ex. an iframe window).
+   */
+  dispatchEvent(element, eventName, eventConstructor, options = {}) {
+    const view = getWindow(element);
+    const EventConstructor = eventConstructor || view.CustomEvent;
     const eventOptions = {
-      view: window,
+      view,
       bubbles: true,
       cancelable: true,
       ...options,
     };
-    element.dispatchEvent(new eventConstructor(eventName, eventOptions));
+    element.dispatchEvent(new EventConstructor(eventName, eventOptions));
+  }
+
+  /*
+   * @private
+   * Split the `dropDelay` and `settleDelay` of the drop methods from
+   * the rest of their options, falling back to the configured delays.
+   */
+  getDropTiming({ dropDelay, settleDelay, ...eventOptions } = {}) {
+    return {
+      dropDelay: dropDelay === undefined ? getOption(this, 'dropDelay') : dropDelay,
+      settleDelay: settleDelay === undefined ? getOption(this, 'settleDelay') : settleDelay,
+      eventOptions,
+    };
+  }
+
+  /*
+   * Dispatch a clipboard `paste` event whose `clipboardData` contains
+   * each of the formats in `data` (ex. `text/plain` and `text/html`)
+   * and `files`. The event is dispatched from `target` or, by default,
+   * the focused element. In environments without a native `DataTransfer`
+   * (ex. jsdom) a polyfill is used.
+   *
+   * Example:
+   * page.paste({
+   *   'text/plain': 'Hello',
+   *   'text/html': '<b>Hello</b>',
+   * }, page.editor);
+   *
+   * @param {object} data - The data of each MIME type and the `files`
+   *   (a File/Blob or a list of them).
+   * @param {HTMLElement|PageSelector|string} [target] - The element (or selector)
+   *   receiving the event.
+   * @param {object} [options] - Any additional options to set on the event
+   *   and the `dropEffect`/`effectAllowed` of the DataTransfer.
+   * @return {boolean} `false` if the paste event was cancelled.
+   */
+  paste(data, target, { dropEffect, effectAllowed = 'uninitialized', ...eventOptions } = {}) {
+    let element;
+    if (target) {
+      element = this.getTargetElement(target, 'paste into');
+    } else {
+      const doc = this.root ? this.root.ownerDocument : document;
+      element = doc.activeElement || doc;
+    }
+
+    const dataTransfer = createDataTransfer(element, data, { dropEffect, effectAllowed });
+    return element.dispatchEvent(
+      createDataTransferEvent(element, 'paste', dataTransfer, eventOptions)
+    );
+  }
+
+  /*
+   * Drop `data` onto `target` by dispatching `dragenter`, `dragover` and
+   * (after `dropDelay`) `drop` events sharing a single DataTransfer that
+   * contains each of the formats in `data` and `files` (see `paste`).
+   * The returned promise resolves `settleDelay` ms after the drop.
+   *
+   * Example:
+   * await page.drop(page.editor, {
+   *   'text/plain': 'https://example.com',
+   *   'text/uri-list': ['https://example.com'],
+   * }, { clientX: 10, clientY: 20, dropEffect: 'copy' });
+   *
+   * @param {HTMLElement|PageSelector|string} target - The element (or selector) to drop onto.
+   * @param {object} data - The data of each MIME type and the `files`.
+   * @param {object} [options] - Any additional options to set on the events,
+   *   the `dropEffect`/`effectAllowed` of the DataTransfer and the
+   *   `dropDelay`/`settleDelay` (see `PageObject.configure`).
+   * @return {Promise} Resolves once the drop is completed.
+   */
+  drop(target, data, options) {
+    return this.dropData(target, data, null, options);
+  }
+
+  /*
+   * @private
+   * Dispatch `dragenter` and `dragover` events carrying `data` from
+   * `target` and return the DataTransfer to use for the drop.
+   */
+  dragData(target, data, { dropEffect, effectAllowed = 'all', ...eventOptions } = {}) {
+    const element = this.getTargetElement(target, 'drag over');
+    const dataTransfer = createDataTransfer(element, data, { dropEffect, effectAllowed });
+    ['dragenter', 'dragover'].forEach((type) => {
+      element.dispatchEvent(
+        createDataTransferEvent(element, type, dataTransfer, eventOptions)
+      );
+    });
+    return dataTransfer;
+  }
+
+  /*
+   * @private
+   * Drag `data` over `target`, wait `dropDelay`, drop it,
+   * wait `settleDelay` and call `done`.
+   */
+  dropData(target, data, done, options) {
+    const element = this.getTargetElement(target, 'drop onto');
+    const { dropDelay, settleDelay, eventOptions } = this.getDropTiming(options);
+    const { dropEffect, effectAllowed, ...init } = eventOptions;
+    const dataTransfer = this.dragData(element, data, eventOptions);
+
+    return after(dropDelay, () => {
+      element.dispatchEvent(
+        createDataTransferEvent(element, 'drop', dataTransfer, init)
+      );
+
+      return after(settleDelay, done);
+    });
   }
 
   /**
    * Dispatch a clipboard paste event containing the provided
    * File/Blob objects.
    * @param {File[]|Blob[]} files - The files being pasted.
-   * @param {HTMLElement} [element] - The element receiving the event.
+   * @param {HTMLElement|PageSelector|string} [element] - The element (or selector)
+   *   receiving the event.
    * @param {object} [options] - Any additional options to set on the event.
    * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
    * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
    */
   pasteFiles(files, element = document, options, dropEffect, effectAllowed) {
-    element.dispatchEvent(
-      createFilePasteEvent(files, options)
-    );
+    return this.paste({ files }, element, { ...options, dropEffect, effectAllowed });
   }
 
   /**
    * Dispatch a clipboard paste event containing the provided
    * urls.
    * @param {string|string[]} urls - The URLs being pasted.
-   * @param {HTMLElement} [element] - The element receiving the event.
+   * @param {HTMLElement|PageSelector|string} [element] - The element (or selector)
+   *   receiving the event.
    * @param {object} [options] - Any additional options to set on the event.
    * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
    * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
    */
   pasteURLs(urls, element = document, options, dropEffect, effectAllowed) {
-    element.dispatchEvent(
-      createURLPasteEvent(urls, options)
-    );
+    return this.paste({ 'text/uri-list': urls }, element, { ...options, dropEffect, effectAllowed });
   }
 
   /**
    * Dispatch a clipboard paste event containing the provided
-   * urls.
-   * @param {string|string[]} urls - The URLs being pasted.
-   * @param {HTMLElement} [element] - The element receiving the event.
+   * text.
+   * @param {string} text - The text being pasted.
+   * @param {HTMLElement|PageSelector|string} [element] - The element (or selector)
+   *   receiving the event.
    * @param {object} [options] - Any additional options to set on the event.
    * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
    * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
    */
   pasteText(text, element = document, options, dropEffect, effectAllowed) {
-    element.dispatchEvent(
-      createTextPasteEvent(text, options)
-    );
+    return this.paste({ 'text/plain': text }, element, { ...options, dropEffect, effectAllowed });
   }
 
   dragURLs(element, urls, x=0, y=0, options) {
-    element.dispatchEvent(
-      createURLDropEvent('dragenter', urls, x, y, options)
-    );
-
-    element.dispatchEvent(
-      createURLDropEvent('dragover', urls, x, y, options)
-    );
+    this.dragData(element, { 'text/uri-list': urls }, { ...options, clientX: x, clientY: y });
   }
 
   /*
    * Simulate a file drop event by triggering
    * dragenter, dragover and drop DOM events.
    *
-   * @param {HTMLElement} element - The element to drop onto.
+   * @param {HTMLElement|PageSelector|string} element - The element (or selector) to drop onto.
    * @param {string|string[]} urls - The URL(s) to paste.
    * @param {number} x - The x location of the drop event.
    * @param {number} y - The y location of the drop event.
-   * @param {function} done - A callback to call once the drop is completed.
-   * @param {object} options - Any additional event properties you'd like to set.
+   * @param {function} [done] - A callback to call once the drop is completed.
+   * @param {object} [options] - Any additional event properties you'd like to set
+   *   and the `dropDelay`/`settleDelay` (see `PageObject.configure`) to use.
+   * @return {Promise} Resolves once the drop is completed.
    */
   dropURLs(element, urls, x=0, y=0, done, options) {
-    this.dragURLs(element, urls, x, y, options);
-
-    setTimeout(() => {
-      element.dispatchEvent(
-        createURLDropEvent('drop', urls, x, y, options)
-      );
-
-      setTimeout(done, 60);
-    });
+    return this.dropData(element, { 'text/uri-list': urls }, done, { ...options, clientX: x, clientY: y });
   }
 
   dragText(element, text, x=0, y=0, options) {
-    element.dispatchEvent(
-      createTextDropEvent('dragenter', text, x, y, options)
-    );
-
-    element.dispatchEvent(
-      createTextDropEvent('dragover', text, x, y, options)
-    );
+    this.dragData(element, { 'text/plain': text }, { ...options, clientX: x, clientY: y });
   }
 
   /*
    * Simulate a text drop event by triggering
    * dragenter, dragover and drop DOM events.
    *
-   * @param {HTMLElement} element - The element to drop onto.
+   * @param {HTMLElement|PageSelector|string} element - The element (or selector) to drop onto.
    * @param {string} text - The text to drag and drop.
    * @param {number} x - The x location of the drop event.
    * @param {number} y - The y location of the drop event.
-   * @param {function} done - A callback to call once the drop is completed.
-   * @param {object} options - Any additional event properties you'd like to set.
+   * @param {function} [done] - A callback to call once the drop is completed.
+   * @param {object} [options] - Any additional event properties you'd like to set
+   *   and the `dropDelay`/`settleDelay` (see `PageObject.configure`) to use.
+   * @return {Promise} Resolves once the drop is completed.
    */
   dropText(element, text, x=0, y=0, done, options) {
-    this.dragText(element, text, x, y, options);
-
-    setTimeout(() => {
-      element.dispatchEvent(
-        createTextDropEvent('drop', text, x, y, options)
-      );
-
-      setTimeout(done, 60);
-    });
+    return this.dropData(element, { 'text/plain': text }, done, { ...options, clientX: x, clientY: y });
   }
 
   dragFiles(element, files, x=0, y=0, options) {
-    element.dispatchEvent(
-      createFileDropEvent('dragenter', files, x, y, options)
-    );
-
-    element.dispatchEvent(
-      createFileDropEvent('dragover', files, x, y, options)
-    );
+    this.dragData(element, { files }, { ...options, clientX: x, clientY: y });
   }
 
   /*
    * Simulate a file drop event by triggering
    * dragenter, dragover and drop DOM events.
    *
-   * @param {HTMLElement} element - The element to drop onto.
+   * @param {HTMLElement|PageSelector|string} element - The element (or selector) to drop onto.
    * @param {File|File[]} files - The files to drag and drop.
    * @param {number} x - The x location of the drop event.
    * @param {number} y - The y location of the drop event.
-   * @param {function} done - A callback to call once the drop is completed.
-   * @param {object} options - Any additional event properties you'd like to set.
+   * @param {function} [done] - A callback to call once the drop is completed.
+   * @param {object} [options] - Any additional event properties you'd like to set
+   *   and the `dropDelay`/`settleDelay` (see `PageObject.configure`) to use.
+   * @return {Promise} Resolves once the drop is completed.
    */
   dropFiles(element, files, x=0, y=0, done, options) {
-    this.dragFiles(element, files, x, y, options);
-
-    setTimeout(() => {
-      element.dispatchEvent(
-        createFileDropEvent('drop', files, x, y, options)
-      );
-
-      setTimeout(done, 60);
-    });
+    return this.dropData(element, { files }, done, { ...options, clientX: x, clientY: y });
   }
 
   /*
@@ -548,7 +1042,7 @@ export default class PageObject {
    * Simulate a file drop event by triggering
    * dragenter, dragover and drop DOM events.
    *
-   * @param {HTMLElement} element - The element to drop onto.
+   * @param {HTMLElement|PageSelector|string} element - The element (or selector) to drop onto.
    * @param {string} text - The text containing the url(s).
    * @param {number} x - The x location of the drop event.
    * @param {number} y - The y location of the drop event.
@@ -556,14 +1050,14 @@ export default class PageObject {
    * @param {object} options - Any additional event properties you'd like to set.
    */
   // dropURLs(element, text, x=0, y=0, done, options) {
-  //   let enterEvent = createURLDropEvent('dragenter', text, x, y, options);
+  //   let enterEvent = createURLDropEvent(element, 'dragenter', text, x, y, options);
   //   element.dispatchEvent(enterEvent);
   //
-  //   let overEvent = createURLDropEvent('dragover', text, x, y, options);
+  //   let overEvent = createURLDropEvent(element, 'dragover', text, x, y, options);
   //   element.dispatchEvent(overEvent);
   //
   //   setTimeout(() => {
-  //     let dropEvent = createURLDropEvent('drop', text, x, y, options);
+  //     let dropEvent = createURLDropEvent(element, 'drop', text, x, y, options);
   //     element.dispatchEvent(dropEvent);
   //
   //     setTimeout(done, 60);
@@ -616,22 +1110,28 @@ export default class PageObject {
 
   /**
    * Drag and drop one element over another.
-   * @param {HTMLElement} element - the element being dragged.
+   * @param {HTMLElement|PageSelector|string} element - the element (or selector) being dragged.
    * @param {Number} deltaX - the number of pixes to move the element in the x direction.
    * @param {Number} deltaY - the number of pixes to move the element in the y direction.
-   * @param {HTMLElement} dropTarget - the target onto which element is being dropped.
-   * @param {Function} done - a callback for once all events have been dispatched.
+   * @param {HTMLElement|PageSelector|string} [dropTarget] - the target onto which element
+   *   is being dropped. Defaults to the parent of element.
+   * @param {Function} [done] - a callback for once all events have been dispatched.
+   * @param {object} [options] - the `dropDelay` and `settleDelay` to use
+   *   (see `PageObject.configure`).
+   * @return {Promise} Resolves once all events have been dispatched.
    */
-  dragAndDropElement(element, deltaX, deltaY, dropTarget, done) {
+  dragAndDropElement(element, deltaX, deltaY, dropTarget, done, options) {
     // Seeing intermittent issues with this in Firefox:
     // https://github.com/react-dnd/react-dnd/issues/714
     // Use a try catch and then re-trigger the drop event?
-    const defaultOptions = {
-      view: window,
-      bubbles: true,
-      cancelable: true,
-    };
-    const parent = dropTarget ? dropTarget : element.parentElement;
+    element = this.getTargetElement(element, 'drag');
+    const { dropDelay, settleDelay } = this.getDropTiming(options);
+    // The DataTransfer shared by every event of the drag like a browser.
+    const dataTransfer = createDataTransfer(element, {}, { effectAllowed: 'all' });
+    const createEvent = (type, init) => createDataTransferEvent(element, type, dataTransfer, init);
+    const parent = dropTarget
+      ? this.getTargetElement(dropTarget, 'drop onto')
+      : element.parentElement;
     let rect = element.getBoundingClientRect();
     let clientStartX = rect.x;
     let clientStartY = rect.y;
@@ -639,8 +1139,7 @@ export default class PageObject {
     let clientEndY = clientStartY + deltaY;
 
     // Pin emits a drag start event.
-    let startEvent = new DragEvent('dragstart', {
-      ...defaultOptions,
+    let startEvent = createEvent('dragstart', {
       clientX: clientStartX,
       clientY: clientStartY,
       screenX: clientStartX,
@@ -649,8 +1148,7 @@ export default class PageObject {
     element.dispatchEvent(startEvent);
 
     // parent emits a drag enter event as the pin first moves over the map.
-    let enterEvent = new DragEvent('dragenter', {
-      ...defaultOptions,
+    let enterEvent = createEvent('dragenter', {
       clientX: clientStartX,
       clientY: clientStartY,
       screenX: clientStartX,
@@ -659,8 +1157,7 @@ export default class PageObject {
     parent.dispatchEvent(enterEvent);
 
     // parent emits a drag over event as the pin moves over the map.
-    let overEvent = new DragEvent('dragover', {
-      ...defaultOptions,
+    let overEvent = createEvent('dragover', {
       clientX: clientStartX + deltaX/2,
       clientY: clientStartY + deltaY/2,
       screenX: clientStartX + deltaX/2,
@@ -670,8 +1167,7 @@ export default class PageObject {
 
     const doDrop = () => {
       // parent emits a drop event once the pin is dropped.
-      let dropEvent = new DragEvent('drop', {
-        ...defaultOptions,
+      let dropEvent = createEvent('drop', {
         clientX: clientEndX,
         clientY: clientEndY,
         screenX: clientEndX,
@@ -680,19 +1176,16 @@ export default class PageObject {
       parent.dispatchEvent(dropEvent);
 
       // pin emits a drag end event after being dropped.
-      let endEvent = new DragEvent('dragend', {
-        ...defaultOptions,
+      let endEvent = createEvent('dragend', {
         clientX: clientEndX,
         clientY: clientEndY,
         screenX: clientEndX,
         screenY: clientEndY,
       });
       element.dispatchEvent(endEvent);
-
-      setTimeout(done, 60);
     };
 
-    setTimeout(() => {
+    return after(dropDelay, () => {
       try {
         doDrop();
       } catch (error) {
@@ -700,203 +1193,8 @@ export default class PageObject {
         console.warn('Attempting drop again....');
         doDrop();
       }
+
+      return after(settleDelay, done);
     });
   }
 }
-
-/**
- * Create the DataTransfer object for a text paste event.
- * @param {string} text - The text to paste
- * @param {string} [dropEffect]
- * @param {string} [effectAllowed]
- * @return {DataTransfer}
- */
-function createTextDataTransfer(text, dropEffect = 'none', effectAllowed = 'all') {
-  const dataTransfer = new DataTransfer();
-  dataTransfer.items.add(text, 'text/plain');
-  dataTransfer.dropEffect = dropEffect;
-  dataTransfer.effectAllowed = effectAllowed;
-  return dataTransfer;
-}
-
-/**
- * Create the DataTransfer object for a URL paste event.
- * @param {string} text - The text to paste
- * @param {string} [dropEffect]
- * @param {string} [effectAllowed]
- * @return {DataTransfer}
- */
-function createURLDataTransfer(urls, dropEffect = 'none', effectAllowed = 'all') {
-  urls = !Array.isArray(urls)
-    ? urls
-    : urls
-        // text/uri-list lines starting with # are comments.
-        .filter(u => !u.startsWith('#'))
-        // URLs are separated by line.
-        .join('\n');
-
-  const dataTransfer = new DataTransfer();
-  dataTransfer.items.add(urls, 'text/uri-list');
-  dataTransfer.dropEffect = dropEffect;
-  dataTransfer.effectAllowed = effectAllowed;
-  return dataTransfer;
-}
-
-/**
- * Create the DataTransfer object for a file paste event.
- * @param {File|File[]} files - The file(s) to paste.
- * @param {string} [dropEffect]
- * @param {string} [effectAllowed]
- * @return {DataTransfer}
- */
-function createFileDataTransfer(files, dropEffect = 'none', effectAllowed = 'all') {
-  files = Array.isArray(files) ? files : [files];
-
-  const dataTransfer = new DataTransfer();
-  files.forEach(file => dataTransfer.items.add(file));
-  dataTransfer.dropEffect = dropEffect;
-  dataTransfer.effectAllowed = effectAllowed;
-  return dataTransfer;
-}
-
-/**
- * Create a file paste ClipboardEvent.
- * @param {File|File[]} files - The file(s) being pasted.
- * @param {object} [options] - Any options you'd like to add to the event object.
- * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
- * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
- * @return {ClipboardEvent}
- */
-function createFilePasteEvent(
-  files,
-  options,
-  dropEffect = 'none',
-  effectAllowed = 'uninitialized'
-) {
-  return new ClipboardEvent('paste', {
-    clipboardData: createFileDataTransfer(files, dropEffect, effectAllowed),
-    ...options
-  });
-}
-
-/**
- * Create a text paste ClipboardEvent.
- * @param {string} text - The text to paste.
- * @param {object} [options] - Any options you'd like to add to the event object.
- * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
- * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
- * @return {ClipboardEvent}
- */
-function createTextPasteEvent(
-  text,
-  options,
-  dropEffect = 'none',
-  effectAllowed = 'uninitialized'
-) {
-  return new ClipboardEvent('paste', {
-    clipboardData: createTextDataTransfer(text, dropEffect, effectAllowed),
-    ...options,
-  });
-}
-
-/**
- * Create a URL paste ClipboardEvent.
- * @param {string|string[]} urls - The URL(s) to paste.
- * @param {object} [options] - Any options you'd like to add to the event object.
- * @param {string} [dropEffect] - The dropEffect of the clipboard DataTransfer object.
- * @param {string} [effectAllowed] - The effectAllowed of the clipboard DataTransfer object.
- * @return {ClipboardEvent}
- */
-function createURLPasteEvent(
-  urls,
-  options,
-  dropEffect = 'none',
-  effectAllowed = 'uninitialized'
-) {
-  return new ClipboardEvent('paste', {
-    clipboardData: createURLDataTransfer(urls, dropEffect, effectAllowed),
-    ...options,
-  });
-}
-
-/**
- * Create a text drag or drop event.
- * @param {string} eventType - The name of the event being dispatched (ex. dragstart, drop).
- * @param {string} text - The text to drag or drop.
- * @param {number} [x] - The x location of the drag/drop event.
- * @param {number} [y] - The y location of the drag/drop event.
- * @param {object} [options] - Any additional options to set on the event.
- * @return {CustomEvent}
- */
-function createTextDropEvent(eventType, text, x, y, options) {
-  // Use CustomEvent instances so we can configure the dataTransfer object.
-  const event = new CustomEvent(eventType, {
-    view: window,
-    bubbles: true,
-    cancelable: true,
-    ...options,
-  });
-
-  // For some reason the following don't get set
-  // correctly when set through the event contructor.
-  event.clientX = x;
-  event.clientY = y;
-  event.dataTransfer = createTextDataTransfer(text);
-
-  return event;
-}
-
-/**
- * Create a URL drag or drop event.
- * @param {string} eventType - The name of the event being dispatched (ex. dragstart, drop).
- * @param {string|string[]} urls - The URL(s) to drop.
- * @param {number} [x] - The x location of the drag/drop event.
- * @param {number} [y] - The y location of the drag/drop event.
- * @param {object} [options] - Any additional options to set on the event.
- * @return {CustomEvent}
- */
-function createURLDropEvent(eventType, urls, x, y, options) {
-  // Use CustomEvent instances so we can configure the dataTransfer object.
-  const event = new CustomEvent(eventType, {
-    view: window,
-    bubbles: true,
-    cancelable: true,
-    ...options,
-  });
-
-  // For some reason the following don't get set
-  // correctly when set through the event contructor.
-  event.clientX = x;
-  event.clientY = y;
-  event.dataTransfer = createURLDataTransfer(urls);
-
-  return event;
-}
-
-/**
- * Create a file drag or drop event.
- * @param {string} eventType - The name of the event being dispatched (ex. dragstart, drop).
- * @param {File|File[]} files - The files to drag or drop.
- * @param {number} [x] - The x location of the drag/drop event.
- * @param {number} [y] - The y location of the drag/drop event.
- * @param {object} [options] - Any additional options to set on the event.
- * @return {CustomEvent}
- */
-function createFileDropEvent(eventType, files, x, y, options) {
-  // Use CustomEvent instances so we can configure the dataTransfer object.
-  const event = new CustomEvent(eventType, {
-    view: window,
-    bubbles: true,
-    cancelable: true,
-    ...options,
-  });
-
-  // For some reason the following don't get set
-  // correctly when set through the event contructor.
-  event.clientX = x;
-  event.clientY = y;
-  event.dataTransfer = createFileDataTransfer(files);
-
-  return event;
-}
-
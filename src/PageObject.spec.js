@@ -1,7 +1,10 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 
 import PageObject from './PageObject';
 import PageSelector from './PageSelector';
+import { resetConfiguration } from './config';
+import { DataTransferPolyfill } from './dataTransfer';
 
 const selectors = {
   container: '[data-test=root]',
@@ -163,6 +166,8 @@ describe('PageObject subclass', function() {
   });
 
   it('should trigger a submit when clicking on an input of type submit.', () => {
+    // prevent JSDOM from logging an error that 'SUBMIT' is not implemented.
+    spyOn(console, 'error');
     page.submitInput.click();
     expect(onSubmit).toHaveBeenCalled();
   });
@@ -198,6 +203,2166 @@ describe('PageObject subclass', function() {
     });
   });
 
+  describe('with a nested PageObject selector', function() {
+    class CardPageObject extends PageObject {
+      selectors = {
+        title: '[data-test=title]',
+      };
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        card: ['[data-test=card]', CardPageObject],
+      });
+      page.render(
+        <div>
+          <div data-test="card"><h2 data-test="title">First</h2></div>
+          <div data-test="card"><h2 data-test="title">Second</h2></div>
+        </div>
+      );
+    });
+
+    it('should select against the nested selector.', () => {
+      expect(page.card.count).toEqual(2);
+    });
+
+    it('should return a PageObject rooted at the nth element.', () => {
+      expect(page.card.nth(1)).toEqual(jasmine.any(CardPageObject));
+      expect(page.card.nth(1).root).toBe(page.card.allElements[1]);
+    });
+
+    it('should be able to select within the nested PageObject.', () => {
+      expect(page.card.nth(0).title.text).toEqual('First');
+      expect(page.card.nth(1).title.text).toEqual('Second');
+    });
+
+    it('should report an index out of range.', () => {
+      const message = 'Could not find an element at index 2 to create a CardPageObject ' +
+        'because there are 2 elements matching selector "card"';
+
+      spyOn(console, 'error');
+      page.card.nth(2);
+      expect(console.error).toHaveBeenCalledWith(jasmine.stringMatching(message));
+
+      page.strict = true;
+      expect(() => page.card.nth(2)).toThrow(message);
+      expect(() => page.card.nth(-1)).toThrow('index -1');
+    });
+  });
+
+  describe('with selectors rendered into a portal', function() {
+    let overlay;
+
+    class PortalPageObject extends PageObject {
+      roots = {
+        overlay: () => overlay,
+      };
+      selectors = {
+        scopedModal: '[data-test=modal]',
+        modal: { selector: '[data-test=modal]', root: 'body' },
+        toast: { selector: '[data-test=toast]', root: 'overlay' },
+        missing: { selector: '[data-test=toast]', root: 'missing' },
+      };
+    }
+
+    function Portals() {
+      return (
+        <div>
+          {ReactDOM.createPortal(<div data-test="modal">Modal</div>, document.body)}
+          {ReactDOM.createPortal(<div data-test="toast">Toast</div>, overlay)}
+        </div>
+      );
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      overlay = document.createElement('div');
+      document.body.appendChild(overlay);
+
+      page = new PortalPageObject();
+      page.render(<Portals />);
+    });
+
+    afterEach(function() {
+      page.destroySandbox();
+      overlay.remove();
+    });
+
+    it('should not find portal content with a scoped selector.', () => {
+      expect(page.scopedModal.exists).toBe(false);
+    });
+
+    it('should be able to select elements in the document body.', () => {
+      expect(page.modal.text).toEqual('Modal');
+    });
+
+    it('should be able to select elements in a named root.', () => {
+      expect(page.toast.text).toEqual('Toast');
+      expect(page.toast.root).toBe(overlay);
+    });
+
+    it('should throw if the root cannot be found.', () => {
+      expect(() => page.missing).toThrow();
+    });
+  });
+
+  describe('with query descriptor selectors', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        button: { role: 'button', name: /save/i },
+        buttons: { role: 'button' },
+        email: { label: 'Email' },
+        welcome: { text: 'Welcome' },
+        search: { placeholder: 'Search...' },
+        missing: { role: 'dialog' },
+        save: { text: 'Save', selector: 'button' },
+        emailInput: { label: 'Email', selector: 'input' },
+      });
+      page.render(
+        <form>
+          <p>Welcome</p>
+          <span>Save</span>
+          <label htmlFor="email">Email</label>
+          <input id="email" onChange={onChange} />
+          <input placeholder="Search..." />
+          <button type="button">Cancel</button>
+          <button type="button" onClick={onClick}>Save</button>
+        </form>
+      );
+    });
+
+    it('should be able to select elements by role.', () => {
+      expect(page.button.exists).toBe(true);
+      expect(page.button.text).toEqual('Save');
+      expect(page.buttons.count).toEqual(2);
+      expect(page.buttons.nth(1).text).toEqual('Save');
+      expect(page.buttons.values).toEqual(['Cancel', 'Save']);
+    });
+
+    it('should be able to select elements by label.', () => {
+      page.email.value = 'foo@bar.com';
+      expect(page.email.value).toEqual('foo@bar.com');
+      expect(onChange).toHaveBeenCalled();
+    });
+
+    it('should be able to select elements by text.', () => {
+      expect(page.welcome.element.tagName).toEqual('P');
+    });
+
+    it('should be able to select elements by placeholder.', () => {
+      expect(page.search.element).toBe(page.root.querySelector('[placeholder]'));
+    });
+
+    it('should be able to click elements selected by role.', () => {
+      page.button.click();
+      expect(onClick).toHaveBeenCalled();
+    });
+
+    it('should pass the selector option to the query.', () => {
+      expect(page.save.count).toEqual(1);
+      expect(page.save.element.tagName).toEqual('BUTTON');
+      expect(page.emailInput.element).toBe(page.root.querySelector('#email'));
+    });
+
+    it('should not find elements that do not match the descriptor.', () => {
+      expect(page.missing.exists).toBe(false);
+      expect(page.missing.count).toEqual(0);
+    });
+  });
+
+  describe('selecting controls by label', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        form: 'form',
+      });
+      page.render(
+        <form>
+          <label htmlFor="name">Full Name</label>
+          <input id="name" onChange={onChange} />
+          <label>
+            Email
+            <input type="email" />
+          </label>
+          <span id="phoneLabel">Phone Number</span>
+          <input aria-labelledby="phoneLabel" />
+          <input aria-label="Password" type="password" />
+        </form>
+      );
+    });
+
+    it('should find controls using a label for attribute.', () => {
+      page.form.labeled('Full Name').value = 'Bruce Wayne';
+      expect(page.form.labeled('Full Name').value).toEqual('Bruce Wayne');
+      expect(onChange).toHaveBeenCalled();
+    });
+
+    it('should find controls wrapped in a label.', () => {
+      expect(page.form.labeled('Email').element.type).toEqual('email');
+    });
+
+    it('should find controls using aria-labelledby.', () => {
+      expect(page.form.labeled('Phone Number').element)
+        .toBe(page.root.querySelector('[aria-labelledby]'));
+    });
+
+    it('should find controls using aria-label.', () => {
+      expect(page.form.labeled('Password').element.type).toEqual('password');
+    });
+
+    it('should be able to match labels with a regular expression.', () => {
+      expect(page.form.labeled(/phone/i).exists).toBe(true);
+    });
+
+    it('should list the available labels if no control matches.', () => {
+      expect(() => page.form.labeled('Address')).toThrow(
+        'Available labels are: "Full Name", "Email", "Password", "Phone Number".'
+      );
+    });
+  });
+
+  describe('iterating over selectors', function() {
+    class RowPageObject extends PageObject {
+      selectors = {
+        name: '[data-test=name]',
+      };
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        item: 'li',
+        row: ['li', RowPageObject],
+      });
+      page.render(
+        <ul>
+          <li onClick={onClick}><span data-test="name">Foo</span></li>
+          <li><span data-test="name">Bar</span></li>
+          <li><span data-test="name">Baz</span></li>
+        </ul>
+      );
+    });
+
+    it('should call forEach with a selector and index for each element.', () => {
+      const callback = jasmine.createSpy('callback');
+      page.item.forEach(callback);
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback.calls.argsFor(1)[0]).toEqual(jasmine.any(PageSelector));
+      expect(callback.calls.argsFor(1)[0].text).toEqual('Bar');
+      expect(callback.calls.argsFor(1)[1]).toEqual(1);
+    });
+
+    it('should be able to map each element.', () => {
+      expect(page.item.map((item, i) => `${i}:${item.text}`)).toEqual(['0:Foo', '1:Bar', '2:Baz']);
+    });
+
+    it('should be able to filter and find elements.', () => {
+      expect(page.item.filter((item) => item.text.startsWith('Ba')).length).toEqual(2);
+      expect(page.item.find((item) => item.text === 'Baz').element)
+        .toBe(page.item.allElements[2]);
+      expect(page.item.find((item) => item.text === 'Bozo')).toBeUndefined();
+    });
+
+    it('should be able to test the elements with some and every.', () => {
+      expect(page.item.some((item) => item.text === 'Bar')).toBe(true);
+      expect(page.item.every((item) => item.text === 'Bar')).toBe(false);
+    });
+
+    it('should be iterable.', () => {
+      const items = [...page.item];
+      expect(items.length).toEqual(3);
+      items[0].click();
+      expect(onClick).toHaveBeenCalled();
+    });
+
+    it('should pass nested PageObjects to the callback.', () => {
+      expect(page.row.map((row) => row.name.text)).toEqual(['Foo', 'Bar', 'Baz']);
+      for (const row of page.row) {
+        expect(row).toEqual(jasmine.any(RowPageObject));
+      }
+    });
+  });
+
+  describe('refining selectors', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        row: 'tr',
+        cell: 'td',
+        tabItem: '[role=tab]',
+      });
+      page.render(
+        <div>
+          <div role="tablist">
+            <button role="tab" aria-selected="false">One</button>
+            <button role="tab" aria-selected="true">Two</button>
+          </div>
+          <table>
+            <tbody>
+              <tr className="company"><td>Acme Corp</td><td><button>Edit</button></td></tr>
+              <tr className="company"><td>Globex</td><td><a href="#">View</a></td></tr>
+              <tr className="company disabled"><td>Initech</td><td><button>Edit</button></td></tr>
+            </tbody>
+          </table>
+        </div>
+      );
+    });
+
+    it('should be able to select elements containing text.', () => {
+      expect(page.row.withText('Acme').count).toEqual(1);
+      expect(page.row.withText('Acme').element).toBe(page.row.allElements[0]);
+      expect(page.row.withText(/^glob/i).text).toEqual('GlobexView');
+      expect(page.row.withText('Hooli').exists).toBe(false);
+    });
+
+    it('should be able to select elements with an attribute.', () => {
+      expect(page.tabItem.withAttribute('aria-selected', 'true').text).toEqual('Two');
+      expect(page.tabItem.withAttribute('aria-selected').count).toEqual(2);
+      expect(page.tabItem.withAttribute('aria-selected', /false/).text).toEqual('One');
+    });
+
+    it('should be able to select elements containing other elements.', () => {
+      expect(page.row.containing('a').text).toEqual('GlobexView');
+      expect(page.row.containing({ role: 'button', name: 'Edit' }).count).toEqual(2);
+      expect(page.row.containing(page.cell.withText('Initech')).values).toEqual(['InitechEdit']);
+    });
+
+    it('should be able to exclude elements.', () => {
+      expect(page.row.not('.disabled').count).toEqual(2);
+      expect(page.row.not(page.row.withText('Acme')).values).toEqual(['GlobexView', 'InitechEdit']);
+    });
+
+    it('should be able to chain refinements.', () => {
+      const row = page.row.containing({ role: 'button' }).not('.disabled');
+      expect(row.count).toEqual(1);
+      expect(row.nth(0).text).toEqual('Acme CorpEdit');
+      expect(row.description).toEqual('tr.containing({role: "button"}).not(.disabled)');
+    });
+  });
+
+  describe('traversing selectors', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        card: '[data-test=card]',
+        label: 'label',
+        cell: 'td',
+      });
+      page.render(
+        <div>
+          <section data-test="card" aria-label="Revenue card">
+            <label>Revenue</label>
+            <span>$100</span>
+          </section>
+          <section data-test="card" aria-label="Expenses card">
+            <label>Expenses</label>
+            <span>$50</span>
+          </section>
+          <table>
+            <tbody>
+              <tr data-test="row"><td>A</td><td>B</td><td>C</td></tr>
+            </tbody>
+          </table>
+        </div>
+      );
+    });
+
+    it('should be able to select the parent element.', () => {
+      expect(page.label.withText('Expenses').parent.element).toBe(page.card.allElements[1]);
+      expect(page.cell.parent.count).toEqual(1);
+      expect(page.cell.parent.element.getAttribute('data-test')).toEqual('row');
+    });
+
+    it('should be able to select the closest matching ancestor.', () => {
+      expect(page.label.withText('Revenue').closest('[data-test=card]').element)
+        .toBe(page.card.allElements[0]);
+      expect(page.label.closest({ role: 'region' }).count).toEqual(2);
+      expect(page.label.closest('table').exists).toBe(false);
+    });
+
+    it('should be able to select the child elements.', () => {
+      expect(page.card.nth(0).children.values).toEqual(['Revenue', '$100']);
+      expect(page.cell.parent.children.count).toEqual(3);
+    });
+
+    it('should be able to select sibling elements.', () => {
+      expect(page.label.withText('Revenue').nextSibling.text).toEqual('$100');
+      expect(page.cell.withText('B').previousSibling.text).toEqual('A');
+      expect(page.cell.withText('B').siblings.values).toEqual(['A', 'C']);
+      expect(page.cell.withText('C').nextSibling.exists).toBe(false);
+    });
+  });
+
+  describe('select helpers', function() {
+    let onInput, onSelectChange;
+
+    beforeEach(function() {
+      onInput = jasmine.createSpy('onInput');
+      onSelectChange = jasmine.createSpy('onSelectChange');
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        country: '[data-test=country]',
+        colors: '[data-test=colors]',
+        p: 'p',
+      });
+      page.render(
+        <div>
+          <select data-test="country" defaultValue="us" onInput={onInput} onChange={onSelectChange}>
+            <option value="us">United States</option>
+            <option value="ca">Canada</option>
+            <option value="mx" disabled>Mexico</option>
+          </select>
+          <select data-test="colors" multiple defaultValue={['red']} onChange={onSelectChange}>
+            <option value="red">Red</option>
+            <option value="green">Green</option>
+            <option value="blue">Blue</option>
+          </select>
+          <p>Not a select</p>
+        </div>
+      );
+    });
+
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should list the options.', () => {
+      expect(page.country.options).toEqual([
+        { label: 'United States', value: 'us', selected: true, disabled: false },
+        { label: 'Canada', value: 'ca', selected: false, disabled: false },
+        { label: 'Mexico', value: 'mx', selected: false, disabled: true },
+      ]);
+      expect(page.colors.selectedOptions).toEqual([{ label: 'Red', value: 'red' }]);
+      expect(page.p.options).toEqual([]);
+    });
+
+    it('should be able to select an option by value or label.', () => {
+      page.country.selectOption('Canada');
+      expect(page.country.selectedOptions).toEqual([{ label: 'Canada', value: 'ca' }]);
+      expect(onInput).toHaveBeenCalledTimes(1);
+      expect(onSelectChange).toHaveBeenCalledTimes(1);
+
+      page.country.selectOption('us');
+      expect(page.country.value).toEqual('us');
+      page.country.selectOption(/canada/i);
+      expect(page.country.value).toEqual('ca');
+      expect(onSelectChange).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not emit events if the selection does not change.', () => {
+      page.country.selectOption('us');
+      expect(onSelectChange).not.toHaveBeenCalled();
+    });
+
+    it('should add options to the selection of a multiple select.', () => {
+      page.colors.selectOption('Blue');
+      expect(page.colors.selectedOptions.map((o) => o.value)).toEqual(['red', 'blue']);
+      expect(onSelectChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should be able to select exactly the given options.', () => {
+      page.colors.selectOptions(['Green', 'blue']);
+      expect(page.colors.selectedOptions.map((o) => o.value)).toEqual(['green', 'blue']);
+      expect(onSelectChange).toHaveBeenCalledTimes(1);
+
+      page.colors.value = ['red'];
+      expect(page.colors.selectedOptions.map((o) => o.value)).toEqual(['red']);
+    });
+
+    it('should be able to deselect options of a multiple select.', () => {
+      page.colors.deselectOption('Red');
+      expect(page.colors.selectedOptions).toEqual([]);
+      expect(onSelectChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should select by label when setting the value.', () => {
+      page.country.value = 'Canada';
+      expect(page.country.value).toEqual('ca');
+    });
+
+    it('should clear the selection when setting a value without an option.', () => {
+      page.country.value = 'France';
+      expect(page.country.selectedOptions).toEqual([]);
+      expect(onSelectChange).toHaveBeenCalledTimes(1);
+    });
+
+    it('should describe the available options when an option does not exist.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.country.selectOption('France')).toThrow(
+        'Could not find an option matching "France" in [data-test=country]. ' +
+        'Available options are: "United States" ("us"), "Canada" ("ca"), "Mexico" ("mx").'
+      );
+    });
+
+    it('should not select disabled options or deselect from single selects.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.country.selectOption('Mexico')).toThrow('disabled option');
+      expect(() => page.country.deselectOption('us')).toThrow('not a multiple select');
+      expect(() => page.country.selectOptions(['us', 'ca'])).toThrow('not a multiple select');
+      expect(() => page.p.selectOption('us')).toThrow('not a select element');
+      expect(page.country.value).toEqual('us');
+    });
+  });
+
+  describe('checkbox and radio groups', function() {
+    let onPlanChange;
+
+    beforeEach(function() {
+      onPlanChange = jasmine.createSpy('onPlanChange');
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        terms: '[name=terms]',
+        plan: '[name=plan]',
+        topping: '[name=topping]',
+        p: 'p',
+      });
+      page.render(
+        <form>
+          <input type="checkbox" name="terms" value="yes" />
+          <label><input type="radio" name="plan" value="free" onChange={onPlanChange} /> Free</label>
+          <label><input type="radio" name="plan" value="pro" onChange={onPlanChange} /> Pro</label>
+          <input type="checkbox" name="topping" value="cheese" defaultChecked />
+          <input type="checkbox" name="topping" value="olives" />
+          <input type="checkbox" name="topping" value="peppers" />
+          <p>Text</p>
+        </form>
+      );
+    });
+
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should return the checked state of a checkbox as its value.', () => {
+      expect(page.terms.value).toBe(false);
+      page.terms.value = true;
+      expect(page.terms.value).toBe(true);
+    });
+
+    it('should return the checked value of a radio group.', () => {
+      expect(page.plan.value).toBeNull();
+      page.plan.nth(1).click();
+      expect(page.plan.value).toEqual('pro');
+    });
+
+    it('should check the matching radio when setting the value of a radio group.', () => {
+      page.plan.value = 'pro';
+      expect(page.plan.value).toEqual('pro');
+      expect(onPlanChange).toHaveBeenCalledTimes(1);
+
+      page.plan.value = 'Free';
+      expect(page.plan.value).toEqual('free');
+
+      page.plan.value = 'free';
+      expect(onPlanChange).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return the checked values of a checkbox group.', () => {
+      expect(page.topping.values).toEqual(['cheese']);
+      expect(page.p.values).toEqual(['Text']);
+    });
+
+    it('should check exactly the given values of a checkbox group.', () => {
+      page.topping.values = ['olives', 'peppers'];
+      expect(page.topping.values).toEqual(['olives', 'peppers']);
+      page.topping.values = [];
+      expect(page.topping.values).toEqual([]);
+    });
+
+    it('should describe the available values when a value does not exist.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.plan.value = 'enterprise').toThrow(
+        'Could not find an input with the value "enterprise" in [name=plan]. ' +
+        'Available values are: "free", "pro".'
+      );
+      expect(() => page.topping.values = ['ham']).toThrow('Available values are: "cheese", "olives", "peppers".');
+      expect(() => page.p.values = ['Text']).toThrow('is not a group of checkboxes');
+      expect(page.topping.values).toEqual(['cheese']);
+    });
+  });
+
+  describe('filling forms', function() {
+    let onEmailChange;
+
+    beforeEach(function() {
+      onEmailChange = jasmine.createSpy('onEmailChange');
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        form: 'form',
+        nickname: '[data-test=nickname]',
+      });
+      page.render(
+        <form>
+          <input name="email" onChange={onEmailChange} />
+          <label htmlFor="password-input">Password</label>
+          <input id="password-input" name="password" type="password" />
+          <input id="age" type="number" />
+          <input data-test="nickname" name="nick" />
+          <input type="checkbox" name="terms" />
+          <input type="radio" name="plan" value="free" defaultChecked />
+          <input type="radio" name="plan" value="pro" />
+          <input type="checkbox" name="topping" value="cheese" />
+          <input type="checkbox" name="topping" value="olives" />
+          <select name="color" defaultValue="red">
+            <option value="red">Red</option>
+            <option value="blue">Blue</option>
+          </select>
+          <select name="tags" multiple defaultValue={[]}>
+            <option value="a">A</option>
+            <option value="b">B</option>
+          </select>
+          <input name="disabled" defaultValue="x" disabled />
+        </form>
+      );
+    });
+
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should return the form data as an object.', () => {
+      expect(page.form.values).toEqual({
+        email: '',
+        password: '',
+        nick: '',
+        plan: 'free',
+        topping: [],
+        color: 'red',
+        tags: [],
+      });
+    });
+
+    it('should fill controls by name, id, label or selector name.', () => {
+      page.form.fill({
+        email: 'a@b.c',
+        Password: 'secret',
+        age: 42,
+        nickname: 'Ace',
+        terms: true,
+        plan: 'pro',
+        topping: ['olives', 'cheese'],
+        color: 'Blue',
+        tags: ['a', 'b'],
+      });
+
+      expect(onEmailChange).toHaveBeenCalledTimes(1);
+      expect(page.form.field('age').value).toEqual('42');
+      expect(page.form.values).toEqual({
+        email: 'a@b.c',
+        password: 'secret',
+        nick: 'Ace',
+        terms: 'on',
+        plan: 'pro',
+        topping: ['cheese', 'olives'],
+        color: 'blue',
+        tags: ['a', 'b'],
+      });
+    });
+
+    it('should fill the form when setting its values.', () => {
+      page.form.values = { email: 'a@b.c', topping: ['cheese'] };
+      expect(page.form.values.email).toEqual('a@b.c');
+      expect(page.form.values.topping).toEqual(['cheese']);
+    });
+
+    it('should select form controls as PageSelectors.', () => {
+      expect(page.form.field('plan').count).toEqual(2);
+      expect(page.form.field('Password').element.id).toEqual('password-input');
+      expect(page.form.field('missing').exists).toBe(false);
+    });
+
+    it('should list the available fields when a field does not exist.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.form.fill({ emial: 'a@b.c' })).toThrow(
+        'Could not find a field named "emial" in form. Available fields are: ' +
+        '"email", "password", "age", "nick", "terms", "plan", "topping", "color", "tags", "disabled".'
+      );
+    });
+  });
+
+  describe('clicking', function() {
+    let events;
+
+    beforeEach(function() {
+      events = [];
+      const record = (e) => events.push(
+        `${e.type}:${e.target.getAttribute('data-test')}:${e.button}/${e.buttons}/${e.detail}`
+      );
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        menu: '[data-test=menu]',
+        input: '[data-test=input]',
+        disabled: '[data-test=disabled]',
+        text: '[data-test=text]',
+      });
+      page.render(
+        <div>
+          <button data-test="menu">Menu</button>
+          <input data-test="input" />
+          <button data-test="disabled" disabled>Disabled</button>
+          <span data-test="text">Text</span>
+        </div>
+      );
+
+      [
+        'pointerover', 'pointerenter', 'mouseover', 'mouseenter',
+        'pointerdown', 'mousedown', 'focus', 'blur',
+        'pointerup', 'mouseup', 'click',
+      ].forEach((type) => page.root.addEventListener(type, record, true));
+    });
+
+    it('should dispatch the browser event sequence.', () => {
+      page.menu.click();
+      expect(events.filter((e) => e.includes(':menu:'))).toEqual([
+        'pointerover:menu:0/0/0',
+        'pointerenter:menu:0/0/0',
+        'mouseover:menu:0/0/0',
+        'mouseenter:menu:0/0/0',
+        'pointerdown:menu:0/1/0',
+        'mousedown:menu:0/1/1',
+        'focus:menu:undefined/undefined/0',
+        'pointerup:menu:0/0/0',
+        'mouseup:menu:0/0/1',
+        'click:menu:0/0/1',
+      ]);
+    });
+
+    it('should enter each ancestor of the clicked element.', () => {
+      page.menu.click();
+      expect(events.filter((e) => e.startsWith('mouseenter'))).toEqual([
+        'mouseenter:null:0/0/0',
+        'mouseenter:null:0/0/0',
+        'mouseenter:null:0/0/0',
+        'mouseenter:menu:0/0/0',
+      ]);
+    });
+
+    it('should move focus to the clicked element.', () => {
+      page.input.click();
+      expect(page.input.focused).toBe(true);
+
+      page.menu.click();
+      expect(page.input.focused).toBe(false);
+      expect(page.menu.focused).toBe(true);
+      expect(events).toContain('blur:input:undefined/undefined/0');
+
+      page.text.click();
+      expect(document.activeElement).toBe(document.body);
+    });
+
+    it('should not enter an element the pointer is already over.', () => {
+      page.menu.click();
+      events = [];
+      page.menu.click();
+      expect(events[0]).toEqual('pointerdown:menu:0/1/0');
+    });
+
+    it('should not change focus if mousedown is cancelled.', () => {
+      page.input.element.addEventListener('mousedown', (e) => e.preventDefault());
+      page.input.click();
+      expect(page.input.focused).toBe(false);
+    });
+
+    it('should only dispatch pointer events to disabled elements.', () => {
+      page.disabled.click();
+      expect(events.filter((e) => e.includes(':disabled:'))).toEqual([
+        'pointerover:disabled:0/0/0',
+        'pointerenter:disabled:0/0/0',
+        'mouseover:disabled:0/0/0',
+        'mouseenter:disabled:0/0/0',
+        'pointerdown:disabled:0/1/0',
+        'pointerup:disabled:0/0/0',
+      ]);
+    });
+
+    it('should hold modifier keys during the click.', () => {
+      const onClick = jasmine.createSpy('onClick');
+      page.menu.element.addEventListener('click', (e) => onClick(e.shiftKey, e.ctrlKey));
+      page.menu.click({ shiftKey: true });
+      expect(onClick).toHaveBeenCalledWith(true, false);
+    });
+
+    it('should be able to listen for mouse down in React.', () => {
+      const onMouseDown = jasmine.createSpy('onMouseDown');
+      const onMouseEnter = jasmine.createSpy('onMouseEnter');
+      page.destroySandbox();
+      page.render(
+        <button data-test="menu" onMouseDown={onMouseDown} onMouseEnter={onMouseEnter}>Menu</button>
+      );
+      page.menu.click();
+      expect(onMouseDown).toHaveBeenCalledTimes(1);
+      expect(onMouseEnter).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('hovering', function() {
+    let events;
+
+    function Tooltip() {
+      const [open, setOpen] = React.useState(false);
+      return (
+        <span
+          data-test="trigger"
+          onMouseEnter={() => setOpen(true)}
+          onMouseLeave={() => setOpen(false)}
+        >
+          Help
+          {open && <span data-test="tooltip">Some help</span>}
+        </span>
+      );
+    }
+
+    beforeEach(function() {
+      events = [];
+      const record = (e) => events.push(`${e.type}:${e.target.getAttribute('data-test')}`);
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        trigger: '[data-test=trigger]',
+        tooltip: '[data-test=tooltip]',
+        first: '[data-test=first]',
+        second: '[data-test=second]',
+        slider: '[data-test=slider]',
+      });
+      page.render(
+        <div>
+          <Tooltip />
+          <div data-test="first" />
+          <div data-test="second" />
+          <div data-test="slider" />
+        </div>
+      );
+
+      [
+        'pointerover', 'pointerenter', 'pointerout', 'pointerleave', 'pointermove',
+        'mouseover', 'mouseenter', 'mouseout', 'mouseleave', 'mousemove',
+      ].forEach((type) => page.root.addEventListener(type, record, true));
+    });
+
+    it('should dispatch the enter and move events.', () => {
+      page.first.hover();
+      expect(events.filter((e) => e.endsWith(':first'))).toEqual([
+        'pointerover:first',
+        'pointerenter:first',
+        'mouseover:first',
+        'mouseenter:first',
+        'pointermove:first',
+        'mousemove:first',
+      ]);
+    });
+
+    it('should leave the previous element when hovering another.', () => {
+      page.first.hover();
+      events = [];
+      page.second.hover();
+      expect(events).toEqual([
+        'pointerout:first',
+        'pointerleave:first',
+        'pointerover:second',
+        'pointerenter:second',
+        'mouseout:first',
+        'mouseleave:first',
+        'mouseover:second',
+        'mouseenter:second',
+        'pointermove:second',
+        'mousemove:second',
+      ]);
+    });
+
+    it('should show and hide a React tooltip.', () => {
+      expect(page.tooltip.exists).toBe(false);
+      page.trigger.hover();
+      expect(page.tooltip.text).toEqual('Some help');
+
+      // Moving within the trigger doesn't leave it.
+      page.tooltip.hover();
+      expect(page.tooltip.exists).toBe(true);
+
+      page.trigger.unhover();
+      expect(page.tooltip.exists).toBe(false);
+    });
+
+    it('should only unhover the element the mouse is over.', () => {
+      page.first.hover();
+      events = [];
+      page.second.unhover();
+      expect(events).toEqual([]);
+
+      page.first.unhover();
+      expect(events.filter((e) => e.startsWith('mouse'))).toEqual([
+        'mouseout:first',
+        'mouseleave:first',
+        'mouseleave:null',
+        'mouseleave:null',
+        'mouseleave:null',
+      ]);
+    });
+
+    it('should move the mouse to a point inside of an element.', () => {
+      const moves = [];
+      page.slider.element.getBoundingClientRect = () => ({ left: 100, top: 20 });
+      page.slider.element.addEventListener('mousemove', (e) => moves.push([e.clientX, e.clientY]));
+
+      page.slider.moveMouse(10, 5);
+      page.slider.moveMouse(50, 5, { shiftKey: true });
+      expect(moves).toEqual([[110, 25], [150, 25]]);
+      expect(events.filter((e) => e === 'mouseenter:slider').length).toEqual(1);
+    });
+  });
+
+  describe('touch gestures', function() {
+    let events, onButtonClick;
+
+    function Carousel({ onSwipe }) {
+      const start = React.useRef(null);
+      return (
+        <div
+          data-test="carousel"
+          onTouchStart={(e) => { start.current = e.touches[0].clientX; }}
+          onTouchEnd={(e) => onSwipe(e.changedTouches[0].clientX - start.current)}
+        />
+      );
+    }
+
+    beforeEach(function() {
+      events = [];
+      onButtonClick = jasmine.createSpy('onButtonClick');
+      const record = (e) => events.push(
+        `${e.type}:${e.pointerType || (e.touches ? `${e.touches.length}/${e.changedTouches.length}` : '')}`
+      );
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        button: '[data-test=button]',
+        carousel: '[data-test=carousel]',
+        map: '[data-test=map]',
+      });
+      page.render(
+        <div>
+          <button data-test="button" onClick={onButtonClick}>Like</button>
+          <Carousel onSwipe={(distance) => events.push(`swiped:${distance}`)} />
+          <div data-test="map" />
+        </div>
+      );
+
+      [
+        'pointerdown', 'pointermove', 'pointerup',
+        'touchstart', 'touchmove', 'touchend',
+        'mousedown', 'mouseup', 'click', 'contextmenu',
+      ].forEach((type) => page.root.addEventListener(type, record, true));
+    });
+
+    it('should tap an element.', () => {
+      expect(page.button.tap()).toBe(true);
+      expect(events).toEqual([
+        'pointerdown:touch',
+        'touchstart:1/1',
+        'pointerup:touch',
+        'touchend:0/1',
+        'mousedown:',
+        'mouseup:',
+        'click:',
+      ]);
+      expect(onButtonClick).toHaveBeenCalledTimes(1);
+      expect(page.button.focused).toBe(true);
+    });
+
+    it('should not click if the touch is cancelled.', () => {
+      page.button.element.addEventListener('touchstart', (e) => e.preventDefault());
+      expect(page.button.tap()).toBe(false);
+      expect(onButtonClick).not.toHaveBeenCalled();
+    });
+
+    it('should swipe with interpolated moves.', () => {
+      const moves = [];
+      page.carousel.element.getBoundingClientRect = () => ({ left: 0, top: 0, width: 300, height: 100 });
+      page.carousel.element.addEventListener('touchmove', (e) => moves.push(e.touches[0].clientX));
+
+      page.carousel.swipe('left', 100, { steps: 4 });
+      expect(moves).toEqual([125, 100, 75, 50]);
+      expect(events).toContain('swiped:-100');
+      expect(events.filter((e) => e === 'pointermove:touch').length).toEqual(4);
+    });
+
+    it('should reject for unknown swipe directions.', () => {
+      return page.carousel.swipe('sideways').then(
+        () => { throw new Error('Should have rejected'); },
+        (error) => expect(error.message).toEqual(
+          'Unknown swipe direction "sideways". Available directions are: left, right, up, down.'
+        )
+      );
+    });
+
+    it('should pinch with two fingers.', () => {
+      const distances = [];
+      page.map.element.addEventListener('touchmove', (e) => {
+        distances.push(Math.abs(e.touches[1].clientX - e.touches[0].clientX));
+      });
+      const pointerIds = [];
+      page.map.element.addEventListener('pointerdown', (e) => pointerIds.push([e.pointerId, e.isPrimary]));
+
+      page.map.pinch(2, { steps: 2 });
+      expect(distances).toEqual([150, 200]);
+      expect(pointerIds).toEqual([[2, true], [3, false]]);
+      expect(events.filter((e) => e.startsWith('touch'))).toEqual([
+        'touchstart:2/2',
+        'touchmove:2/2',
+        'touchmove:2/2',
+        'touchend:0/2',
+      ]);
+    });
+
+    it('should spread a gesture over its duration.', () => {
+      const swiping = page.carousel.swipe('right', 50, { steps: 2, duration: 20 });
+      expect(events.filter((e) => e.startsWith('touch'))).toEqual(['touchstart:1/1']);
+      return swiping.then(() => {
+        expect(events).toContain('swiped:50');
+      });
+    });
+
+    it('should long press an element.', () => {
+      return page.button.longPress(20).then(() => {
+        expect(events.filter((e) => !e.startsWith('pointer'))).toEqual([
+          'touchstart:1/1',
+          'contextmenu:',
+          'touchend:0/1',
+        ]);
+        expect(onButtonClick).not.toHaveBeenCalled();
+      });
+    });
+  });
+
+  describe('dragging with a pointer or keyboard', function() {
+    // A sortable list that starts dragging once the pointer moves more
+    // than 5px like dnd-kit's PointerSensor and supports moving items
+    // with space and the arrow keys like its KeyboardSensor.
+    function SortableList() {
+      const [items, setItems] = React.useState(['One', 'Two', 'Three']);
+      const [picked, setPicked] = React.useState(null);
+      const drag = React.useRef(null);
+
+      const move = (from, to) => setItems((list) => {
+        const next = list.slice();
+        next.splice(to, 0, next.splice(from, 1)[0]);
+        return next;
+      });
+
+      const onPointerMove = (e) => {
+        const current = drag.current;
+        if (current && Math.hypot(e.clientX - current.x, e.clientY - current.y) > 5) {
+          current.active = true;
+          current.over = e.target.getAttribute('data-index');
+        }
+      };
+      const onPointerUp = () => {
+        const current = drag.current;
+        if (current && current.active && current.over !== null) {
+          move(current.index, Number(current.over));
+        }
+        drag.current = null;
+      };
+
+      const onKeyDown = (index) => (e) => {
+        const { code } = e.nativeEvent;
+        if (code === 'Space') {
+          e.preventDefault();
+          setPicked(picked === null ? index : null);
+        } else if (picked !== null && code === 'ArrowDown' && picked < items.length - 1) {
+          move(picked, picked + 1);
+          setPicked(picked + 1);
+        }
+      };
+
+      return (
+        <ul onPointerMove={onPointerMove} onPointerUp={onPointerUp}>
+          {items.map((item, index) => (
+            <li
+              key={item}
+              data-test="item"
+              data-index={index}
+              tabIndex={0}
+              onPointerDown={(e) => {
+                drag.current = { index, x: e.clientX, y: e.clientY, active: false, over: null };
+              }}
+              onKeyDown={onKeyDown(index)}
+            >
+              {item}
+            </li>
+          ))}
+        </ul>
+      );
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        item: '[data-test=item]',
+      });
+      page.render(<SortableList />);
+      page.item.allElements.forEach((element, index) => {
+        element.getBoundingClientRect = () => ({ left: 0, top: index * 40, width: 100, height: 40 });
+      });
+    });
+
+    it('should drag to another element.', () => {
+      const events = [];
+      ['pointerdown', 'mousedown', 'pointermove', 'mousemove', 'pointerup', 'mouseup'].forEach((type) => {
+        page.root.addEventListener(type, (e) => events.push(`${type}:${e.clientY}`), { once: type.endsWith('move') });
+      });
+
+      return page.drag(page.item.nth(0)).to(page.item.nth(2), { steps: 4 }).then(() => {
+        expect(page.item.map((item) => item.text)).toEqual(['Two', 'Three', 'One']);
+        expect(events).toEqual([
+          'pointerdown:20',
+          'mousedown:20',
+          'pointermove:40',
+          'mousemove:40',
+          'pointerup:100',
+          'mouseup:100',
+        ]);
+      });
+    });
+
+    it('should accept selector names, selectors and coordinates.', () => {
+      const moves = [];
+      page.item.nth(0).element.addEventListener('pointermove', (e) => moves.push([e.clientX, e.clientY]));
+
+      page.drag('item').to({ x: 50, y: 10 }, { steps: 2 });
+      expect(moves).toEqual([[50, 15], [50, 10]]);
+      expect(page.item.map((item) => item.text)).toEqual(['One', 'Two', 'Three']);
+
+      expect(() => page.drag('[data-test=missing]')).toThrowError(
+        'Could not find the element [data-test=missing] to drag.'
+      );
+      expect(() => page.drag(page.item.nth(0)).to(page.item.nth(5))).toThrowError(
+        'Could not find the element [data-test=item].nth(5) to drag to.'
+      );
+    });
+
+    it('should not drag without moving past the threshold.', () => {
+      page.drag(page.item.nth(0)).to({ x: 52, y: 22 });
+      expect(page.item.map((item) => item.text)).toEqual(['One', 'Two', 'Three']);
+    });
+
+    it('should hold the pointer down before moving.', () => {
+      const moves = [];
+      page.root.addEventListener('pointermove', () => moves.push(Date.now()), { once: true });
+      const dragging = page.drag(page.item.nth(0)).to(page.item.nth(1), { holdMs: 20 });
+      expect(moves).toEqual([]);
+      return dragging.then(() => {
+        expect(moves.length).toEqual(1);
+        expect(page.item.map((item) => item.text)).toEqual(['Two', 'One', 'Three']);
+      });
+    });
+
+    it('should drag with the keyboard.', () => {
+      return page.drag(page.item.nth(0)).withKeyboard('{arrowdown}{arrowdown}').then(() => {
+        expect(page.item.map((item) => item.text)).toEqual(['Two', 'Three', 'One']);
+      });
+    });
+  });
+
+  describe('dropping', function() {
+    let events;
+
+    beforeEach(function() {
+      events = [];
+      const record = (e) => events.push(
+        `${e.type}:${e.target.getAttribute('data-test')}${e.dataTransfer ? `:${e.dataTransfer.getData('text/plain')}` : ''}`
+      );
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        editor: '[data-test=editor]',
+        pin: '[data-test=pin]',
+        map: '[data-test=map]',
+      });
+      page.render(
+        <div>
+          <div data-test="editor" />
+          <div data-test="map">
+            <span data-test="pin" />
+          </div>
+        </div>
+      );
+      ['dragstart', 'dragenter', 'dragover', 'drop', 'dragend'].forEach((type) => {
+        page.root.addEventListener(type, record);
+      });
+    });
+
+    afterEach(function() {
+      jest.useRealTimers();
+      resetConfiguration();
+    });
+
+    it('should return a promise resolved after the drop.', () => {
+      const done = jasmine.createSpy('done');
+      const dropping = page.dropText(page.editor.element, 'Hello', 0, 0, done);
+
+      // Like before, the drop happens on the next tick.
+      expect(events).toEqual([
+        'dragenter:editor:Hello',
+        'dragover:editor:Hello',
+      ]);
+      return dropping.then(() => {
+        expect(events).toEqual([
+          'dragenter:editor:Hello',
+          'dragover:editor:Hello',
+          'drop:editor:Hello',
+        ]);
+        expect(done).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should accept a null done callback.', () => {
+      const file = new File(['a'], 'a.txt', { type: 'text/plain' });
+      return page.dropFiles(page.editor, [file], 0, 0, null, { settleDelay: 0 }).then(() => {
+        expect(events).toContain('drop:editor:');
+      });
+    });
+
+    it('should reject if the done callback throws.', () => {
+      const done = () => { throw new Error('Failed'); };
+      return page.dropText(page.editor, 'Hello', 0, 0, done, { settleDelay: false }).then(
+        () => { throw new Error('Should have rejected'); },
+        (error) => expect(error.message).toEqual('Failed')
+      );
+    });
+
+    it('should accept selectors as targets.', () => {
+      page.settleDelay = 0;
+      return Promise.all([
+        page.dropText(page.editor, 'One', 0, 0),
+        page.dropText('editor', 'Two', 0, 0),
+        page.dropText('[data-test=editor]', 'Three', 0, 0),
+      ]).then(() => {
+        expect(events.filter((e) => e.startsWith('drop'))).toEqual([
+          'drop:editor:One',
+          'drop:editor:Two',
+          'drop:editor:Three',
+        ]);
+
+        expect(() => page.dropText('[data-test=missing]', 'Four')).toThrowError(
+          'Could not find the element [data-test=missing] to drop onto.'
+        );
+      });
+    });
+
+    it('should select undeclared target names by test id like the selector properties.', () => {
+      page.settleDelay = 0;
+      const trash = document.createElement('div');
+      trash.setAttribute('data-test', 'trash');
+      page.root.appendChild(trash);
+
+      return Promise.all([
+        page.dropText('trash', 'One', 0, 0),
+        page.dropText('span', 'Two', 0, 0),
+      ]).then(() => {
+        expect(events.filter((e) => e.startsWith('drop'))).toEqual([
+          'drop:trash:One',
+          'drop:pin:Two',
+        ]);
+        expect(page.trash.element).toBe(trash);
+      });
+    });
+
+    it('should let the caller control the timing.', () => {
+      const done = jasmine.createSpy('done');
+      const dropping = page.dropText(page.editor, 'Later', 0, 0, done, { dropDelay: 10, settleDelay: 0 });
+      expect(events).toEqual(['dragenter:editor:Later', 'dragover:editor:Later']);
+      return dropping.then(() => {
+        expect(events).toContain('drop:editor:Later');
+        expect(done).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should not wait for timers with false delays.', () => {
+      jest.useFakeTimers();
+      PageObject.configure({ dropDelay: false, settleDelay: false });
+      const done = jasmine.createSpy('done');
+      return page.dropText(page.editor, 'Now', 0, 0, done).then(() => {
+        expect(events).toContain('drop:editor:Now');
+        expect(done).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should drag and drop elements.', () => {
+      const done = jasmine.createSpy('done');
+      page.settleDelay = 0;
+      return page.dragAndDropElement(page.pin, 10, 10, 'map', done).then(() => {
+        expect(events).toEqual([
+          'dragstart:pin:',
+          'dragenter:map:',
+          'dragover:map:',
+          'drop:map:',
+          'dragend:pin:',
+        ]);
+        expect(done).toHaveBeenCalledTimes(1);
+      });
+    });
+
+    it('should share a DataTransfer between the events of a drag and drop.', () => {
+      page.settleDelay = 0;
+      page.pin.element.addEventListener('dragstart', (e) => e.dataTransfer.setData('text/plain', 'pin-1'));
+      return page.dragAndDropElement(page.pin, 10, 10, 'map').then(() => {
+        expect(events).toEqual([
+          'dragstart:pin:pin-1',
+          'dragenter:map:pin-1',
+          'dragover:map:pin-1',
+          'drop:map:pin-1',
+          'dragend:pin:pin-1',
+        ]);
+      });
+    });
+  });
+
+  describe('pasting and dropping data', function() {
+    let pasted, received;
+
+    function Editor() {
+      const [html, setHtml] = React.useState('');
+      return (
+        <div
+          data-test="editor"
+          tabIndex={0}
+          onPaste={(e) => {
+            e.preventDefault();
+            const data = e.clipboardData;
+            pasted = data;
+            setHtml(data.getData('text/html') || data.getData('text/plain'));
+          }}
+          dangerouslySetInnerHTML={{ __html: html }}
+        />
+      );
+    }
+
+    beforeEach(function() {
+      pasted = null;
+      received = [];
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        editor: '[data-test=editor]',
+        dropzone: '[data-test=dropzone]',
+      });
+      page.render(
+        <div>
+          <Editor />
+          <div data-test="dropzone" />
+        </div>
+      );
+      ['dragenter', 'dragover', 'drop'].forEach((type) => {
+        page.dropzone.element.addEventListener(type, (e) => received.push(e));
+      });
+    });
+
+    it('should paste multiple formats.', () => {
+      const result = page.paste({ 'text/plain': 'Bold', 'text/html': '<b>Bold</b>' }, page.editor);
+      expect(result).toBe(false);
+      expect(pasted.types).toEqual(['text/plain', 'text/html']);
+      expect(page.editor.element.innerHTML).toEqual('<b>Bold</b>');
+    });
+
+    it('should fall back to plain text.', () => {
+      page.pasteText('Plain', 'editor');
+      expect(page.editor.element.innerHTML).toEqual('Plain');
+    });
+
+    it('should paste into the focused element.', () => {
+      page.editor.element.focus();
+      page.paste({ 'text/plain': 'Focused' });
+      expect(page.editor.text).toEqual('Focused');
+    });
+
+    it('should honor the effect parameters.', () => {
+      page.pasteText('Text', page.editor, {}, 'copy', 'copyMove');
+      expect(pasted.dropEffect).toEqual('copy');
+      expect(pasted.effectAllowed).toEqual('copyMove');
+
+      page.paste({ 'text/plain': 'Text' }, page.editor);
+      expect(pasted.dropEffect).toEqual('none');
+      expect(pasted.effectAllowed).toEqual('uninitialized');
+    });
+
+    it('should drop multiple formats and files.', () => {
+      const file = new File(['a,b'], 'data.csv', { type: 'text/csv' });
+      page.settleDelay = 0;
+      return page.drop(page.dropzone, {
+        'text/uri-list': ['# comment', 'https://example.com', 'https://example.org'],
+        'text/plain': 'https://example.com',
+        files: [file],
+      }, { clientX: 5, clientY: 10, dropEffect: 'copy' }).then(() => {
+        expect(received.map((e) => e.type)).toEqual(['dragenter', 'dragover', 'drop']);
+        const [enter, , drop] = received;
+        expect(drop.dataTransfer).toBe(enter.dataTransfer);
+        expect(drop.clientX).toEqual(5);
+        expect(drop.dataTransfer.types).toEqual(['text/uri-list', 'text/plain', 'Files']);
+        expect(drop.dataTransfer.getData('url')).toEqual('https://example.com');
+        expect(drop.dataTransfer.getData('text/uri-list')).toEqual('https://example.com\nhttps://example.org');
+        expect(drop.dataTransfer.files.item(0)).toBe(file);
+        expect(drop.dataTransfer.dropEffect).toEqual('copy');
+        expect(drop.dataTransfer.effectAllowed).toEqual('all');
+      });
+    });
+
+    it('should accept the text and url aliases as formats.', () => {
+      page.paste({ text: 'Alias' }, page.editor);
+      expect(pasted.types).toEqual(['text/plain']);
+      expect(pasted.getData('text')).toEqual('Alias');
+
+      page.settleDelay = 0;
+      return page.drop('dropzone', { url: ['https://example.com'] }).then(() => {
+        const { dataTransfer } = received[2];
+        expect(dataTransfer.types).toEqual(['text/uri-list']);
+        expect(dataTransfer.getData('url')).toEqual('https://example.com');
+      });
+    });
+
+    it('should drop files with the legacy helpers.', () => {
+      const file = new File(['a'], 'a.txt', { type: 'text/plain' });
+      page.settleDelay = 0;
+      return page.dropFiles(page.dropzone, file, 1, 2).then(() => {
+        expect(received[2].dataTransfer.files.length).toEqual(1);
+        expect(received[2].dataTransfer.types).toEqual(['Files']);
+        expect(received[2].clientY).toEqual(2);
+      });
+    });
+
+    describe('DataTransferPolyfill', function() {
+      it('should get and set data like a browser.', () => {
+        const dataTransfer = new DataTransferPolyfill();
+        dataTransfer.setData('Text', 'Hello');
+        dataTransfer.setData('text/html', '<p>Hello</p>');
+        expect(dataTransfer.getData('text/plain')).toEqual('Hello');
+        expect(dataTransfer.types).toEqual(['text/plain', 'text/html']);
+        expect(dataTransfer.items.length).toEqual(2);
+        expect(dataTransfer.items[1].type).toEqual('text/html');
+
+        dataTransfer.setData('text', 'Bye');
+        expect(dataTransfer.getData('text')).toEqual('Bye');
+
+        dataTransfer.clearData('text/plain');
+        expect(dataTransfer.types).toEqual(['text/html']);
+        dataTransfer.clearData();
+        expect(dataTransfer.types).toEqual([]);
+        expect(dataTransfer.getData('text/html')).toEqual('');
+      });
+
+      it('should only allow one item of each type.', () => {
+        const dataTransfer = new DataTransferPolyfill();
+        dataTransfer.items.add('a', 'text/plain');
+        expect(() => dataTransfer.items.add('b', 'text/plain')).toThrowError(
+          "Failed to execute 'add' on 'DataTransferItemList': An item already exists for type 'text/plain'."
+        );
+      });
+
+      it('should ignore invalid effects.', () => {
+        const dataTransfer = new DataTransferPolyfill();
+        dataTransfer.dropEffect = 'move';
+        dataTransfer.dropEffect = 'teleport';
+        dataTransfer.effectAllowed = 'linkMove';
+        dataTransfer.effectAllowed = 'anything';
+        expect(dataTransfer.dropEffect).toEqual('move');
+        expect(dataTransfer.effectAllowed).toEqual('linkMove');
+      });
+
+      it('should read string items asynchronously.', () => {
+        const dataTransfer = new DataTransferPolyfill();
+        const item = dataTransfer.items.add('Hello', 'text/plain');
+        const callback = jasmine.createSpy('callback');
+        item.getAsString(callback);
+        expect(callback).not.toHaveBeenCalled();
+        return Promise.resolve().then(() => {
+          expect(callback).toHaveBeenCalledWith('Hello');
+          expect(item.getAsFile()).toBe(null);
+        });
+      });
+    });
+  });
+
+  describe('typing', function() {
+    let events, onSearchChange, onFormSubmit;
+
+    beforeEach(function() {
+      events = [];
+      onSearchChange = jasmine.createSpy('onSearchChange');
+      onFormSubmit = jasmine.createSpy('onFormSubmit').and.callFake((e) => e.preventDefault());
+
+      page.destroySandbox();
+      page = new PageObject(null, {
+        search: '[data-test=search]',
+        notes: 'textarea',
+        code: '[data-test=code]',
+      });
+      page.render(
+        <form onSubmit={onFormSubmit}>
+          <input data-test="search" onChange={(e) => onSearchChange(e.target.value)} />
+          <textarea defaultValue="" />
+          <input data-test="code" defaultValue="" maxLength={3} />
+        </form>
+      );
+
+      ['keydown', 'keypress', 'beforeinput', 'input', 'keyup'].forEach((type) => {
+        page.search.element.addEventListener(type, (e) => events.push(`${type}:${e.key || e.data}`));
+      });
+    });
+
+    it('should dispatch the key events for each character.', () => {
+      return page.search.type('hi').then(() => {
+        expect(events).toEqual([
+          'keydown:h', 'keypress:h', 'beforeinput:h', 'input:h', 'keyup:h',
+          'keydown:i', 'keypress:i', 'beforeinput:i', 'input:i', 'keyup:i',
+        ]);
+        expect(page.search.value).toEqual('hi');
+        expect(page.search.focused).toBe(true);
+      });
+    });
+
+    it('should notify React of each change.', () => {
+      page.search.type('abc');
+      expect(onSearchChange.calls.allArgs()).toEqual([['a'], ['ab'], ['abc']]);
+    });
+
+    it('should insert text at the caret position.', () => {
+      page.search.type('ac{arrowleft}b{end}d{home}_');
+      expect(page.search.value).toEqual('_abcd');
+      expect(page.search.element.selectionStart).toEqual(1);
+    });
+
+    it('should be able to delete text.', () => {
+      page.search.type('abcd{backspace}{arrowleft}{arrowleft}{delete}');
+      expect(page.search.value).toEqual('ac');
+      page.search.type('{selectall}{backspace}x');
+      expect(page.search.value).toEqual('x');
+      page.search.type('{ctrl+a}y');
+      expect(page.search.value).toEqual('y');
+    });
+
+    it('should hold modifiers for chords.', () => {
+      const keys = [];
+      page.search.element.addEventListener('keydown', (e) => keys.push(`${e.key}:${e.ctrlKey}`));
+      page.search.type('{ctrl+a}');
+      expect(keys).toEqual(['Control:true', 'a:true']);
+    });
+
+    it('should not change the value if keydown is cancelled.', () => {
+      page.search.element.addEventListener('keydown', (e) => e.preventDefault());
+      page.search.type('abc');
+      expect(page.search.value).toEqual('');
+    });
+
+    it('should respect the maximum length.', () => {
+      page.code.type('12345');
+      expect(page.code.value).toEqual('123');
+    });
+
+    it('should insert line breaks in a textarea and not submit without a submit button.', () => {
+      page.notes.type('a{enter}b');
+      expect(page.notes.value).toEqual('a\nb');
+
+      // The form has two text inputs so it can't be submitted implicitly.
+      page.search.pressEnter();
+      expect(onFormSubmit).not.toHaveBeenCalled();
+    });
+
+    it('should submit a form by clicking its first submit button.', () => {
+      const onSave = jasmine.createSpy('onSave');
+      const button = document.createElement('button');
+      button.addEventListener('click', onSave);
+      page.root.querySelector('form').appendChild(button);
+
+      page.search.pressEnter();
+      expect(onSave).toHaveBeenCalledTimes(1);
+      expect(onFormSubmit).toHaveBeenCalledTimes(1);
+
+      button.disabled = true;
+      page.search.pressEnter();
+      expect(onFormSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should submit a form without a submit button that has a single field.', () => {
+      page.code.element.remove();
+      page.search.pressEnter();
+      expect(onFormSubmit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should type shifted characters for shift chords.', () => {
+      const codes = [];
+      page.search.element.addEventListener('keydown', (e) => codes.push(e.code));
+      page.search.type('{shift+a}{shift+B}{shift+1}');
+      expect(page.search.value).toEqual('AB!');
+      expect(codes).toEqual([
+        'ShiftLeft', 'KeyA', 'ShiftLeft', 'KeyB', 'ShiftLeft', 'Digit1',
+      ]);
+    });
+
+    it('should type the keys after a tab into the newly focused element.', () => {
+      page.search.type('x{tab}y');
+      expect(page.search.value).toEqual('x');
+      expect(page.notes.focused).toBe(true);
+      expect(page.notes.value).toEqual('y');
+    });
+
+    it('should type a literal brace.', () => {
+      page.search.type('{{a}');
+      expect(page.search.value).toEqual('{a}');
+    });
+
+    it('should reject for unknown keys.', () => {
+      const typing = page.search.type('a{foo}');
+      expect(page.search.value).toEqual('');
+      return typing.then(
+        () => { throw new Error('Should have rejected'); },
+        (error) => expect(error.message).toContain('Unknown key "{foo}".')
+      );
+    });
+
+    it('should wait between keys when given a delay.', () => {
+      const typing = page.search.type('abc', { delay: 10 });
+      expect(page.search.value).toEqual('a');
+      return typing.then(() => {
+        expect(page.search.value).toEqual('abc');
+      });
+    });
+  });
+
+  describe('keyboard focus navigation', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        email: '[name=email]',
+        password: '[name=password]',
+        plan: '[name=plan]',
+        save: '[data-test=save]',
+        cancel: '[data-test=cancel]',
+        first: '[data-test=first]',
+      });
+      page.render(
+        <form>
+          <input name="email" />
+          <input name="hidden" type="hidden" />
+          <input name="password" type="password" />
+          <input name="disabled" disabled />
+          <div style={{ display: 'none' }}><input name="invisible" /></div>
+          <input name="skipped" tabIndex={-1} />
+          <label><input type="radio" name="plan" value="basic" /> Basic</label>
+          <label><input type="radio" name="plan" value="pro" defaultChecked /> Pro</label>
+          <div tabIndex={0} id="custom">Custom</div>
+          <button data-test="save">Save</button>
+          <button data-test="cancel">Cancel</button>
+          <a data-test="first" href="#top" tabIndex={1}>Top</a>
+        </form>
+      );
+    });
+
+    it('should compute the focus order.', () => {
+      expect(page.focusOrder.map((selector) => selector.description)).toEqual([
+        '[data-test=first]',
+        '[name=email]',
+        '[name=password]',
+        '[name=plan].nth(1)',
+        'div#custom',
+        '[data-test=save]',
+        '[data-test=cancel]',
+      ]);
+      expect(page.focusOrder[0].name).toEqual('first');
+    });
+
+    it('should move focus forward and backward.', () => {
+      page.email.element.focus();
+
+      expect(page.tab().name).toEqual('password');
+      expect(page.password.focused).toBe(true);
+      expect(page.tab().element.value).toEqual('pro');
+      expect(page.tab().description).toEqual('div#custom');
+
+      expect(page.tab({ shift: true }).element.value).toEqual('pro');
+      page.tab({ shift: true });
+      expect(page.password.focused).toBe(true);
+    });
+
+    it('should start at the ends of the order and wrap around.', () => {
+      expect(page.tab().name).toEqual('first');
+      page.cancel.element.focus();
+      expect(page.tab().name).toEqual('first');
+
+      document.activeElement.blur();
+      expect(page.tab({ shift: true }).name).toEqual('cancel');
+    });
+
+    it('should dispatch the focus and key events.', () => {
+      const events = [];
+      ['keydown', 'keyup', 'blur', 'focusout', 'focus', 'focusin'].forEach((type) => {
+        page.root.addEventListener(type, (e) => events.push(`${type}:${e.target.name}`), true);
+      });
+
+      page.email.element.focus();
+      events.length = 0;
+      page.tab();
+      expect(events).toEqual([
+        'keydown:email',
+        'blur:email',
+        'focusout:email',
+        'focus:password',
+        'focusin:password',
+        'keyup:password',
+      ]);
+    });
+
+    it('should not move focus if the tab key is prevented.', () => {
+      page.root.addEventListener('keydown', (e) => e.key === 'Tab' && e.preventDefault());
+      page.email.element.focus();
+      expect(page.tab().name).toEqual('email');
+    });
+  });
+
+  describe('selecting inside of shadow roots', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        hostButton: '[data-test=host] >>> button',
+        nestedLabel: '[data-test=host] >>> [data-test=nested] >>> .label',
+        lightButton: 'button',
+        rows: '[data-test=host] >>> li',
+      });
+      page.render(
+        <div>
+          <div data-test="host"></div>
+        </div>
+      );
+
+      const shadow = page.root.querySelector('[data-test=host]').attachShadow({ mode: 'open' });
+      shadow.innerHTML = `
+        <button>Inner Button</button>
+        <ul><li>One</li><li>Two</li></ul>
+        <div data-test="nested"></div>
+      `;
+      shadow.querySelector('[data-test=nested]')
+        .attachShadow({ mode: 'open' })
+        .innerHTML = '<span class="label">Nested Label</span>';
+    });
+
+    it('should not find shadow content with a normal selector.', () => {
+      expect(page.lightButton.exists).toBe(false);
+    });
+
+    it('should be able to select elements inside of a shadow root.', () => {
+      expect(page.hostButton.exists).toBe(true);
+      expect(page.hostButton.text).toEqual('Inner Button');
+      expect(page.rows.values).toEqual(['One', 'Two']);
+    });
+
+    it('should be able to select elements inside of nested shadow roots.', () => {
+      expect(page.nestedLabel.text).toEqual('Nested Label');
+    });
+
+    it('should be able to interact with elements inside of a shadow root.', () => {
+      const onShadowClick = jasmine.createSpy('onShadowClick');
+      page.hostButton.element.addEventListener('click', onShadowClick);
+      page.hostButton.click();
+      expect(onShadowClick).toHaveBeenCalled();
+    });
+  });
+
+  describe('waiting for custom elements', function() {
+    // Babel compiles classes to functions which cannot extend HTMLElement
+    // so we need to construct custom elements with Reflect.construct.
+    function defineElement(name) {
+      function CustomElement() {
+        return Reflect.construct(HTMLElement, [], CustomElement);
+      }
+      CustomElement.prototype = Object.create(HTMLElement.prototype);
+      CustomElement.prototype.constructor = CustomElement;
+      customElements.define(name, CustomElement);
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject();
+      page.render(
+        <div>
+          <page-o-defined></page-o-defined>
+          <page-o-late></page-o-late>
+        </div>
+      );
+      const host = document.createElement('div');
+      page.root.appendChild(host);
+      host.attachShadow({ mode: 'open' }).innerHTML = '<page-o-shadowed></page-o-shadowed>';
+    });
+
+    it('should resolve once all of the custom elements are defined.', () => {
+      defineElement('page-o-defined');
+      setTimeout(() => {
+        defineElement('page-o-late');
+        defineElement('page-o-shadowed');
+      }, 10);
+      return page.awaitCustomElements().then((result) => {
+        expect(result).toBe(true);
+        expect(customElements.get('page-o-shadowed')).toBeDefined();
+      });
+    });
+
+    it('should reject with the undefined elements after the timeout.', () => {
+      page.root.appendChild(document.createElement('page-o-never'));
+      return page.awaitCustomElements(20).then(
+        () => { throw new Error('Should have rejected'); },
+        (error) => expect(error.message).toContain('page-o-never')
+      );
+    });
+  });
+
+  describe('with an iframe root', function() {
+    let frame, preview;
+
+    class PreviewPageObject extends PageObject {
+      selectors = {
+        title: 'h1',
+        button: 'button',
+      };
+    }
+
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        preview: ['iframe', PreviewPageObject],
+      });
+      page.render(<iframe title="preview" />);
+
+      frame = page.root.querySelector('iframe');
+      preview = page.preview.nth(0);
+      return preview.await().then(() => {
+        frame.contentDocument.body.innerHTML = '<h1>Preview</h1><button>Frame Button</button>';
+      });
+    });
+
+    it('should select within the frame document.', () => {
+      expect(preview.root).toBe(frame.contentDocument.documentElement);
+      expect(preview.title.text).toEqual('Preview');
+      expect(page.root.querySelector('h1')).toBeNull();
+    });
+
+    it('should be able to interact with elements in the frame.', () => {
+      const onFrameClick = jasmine.createSpy('onFrameClick');
+      preview.button.element.addEventListener('click', onFrameClick);
+      preview.button.click();
+      expect(onFrameClick).toHaveBeenCalled();
+    });
+
+    it('should dispatch events using the frame window.', () => {
+      let custom, click;
+      preview.button.element.addEventListener('custom', (e) => custom = e);
+      preview.button.element.addEventListener('click', (e) => click = e);
+
+      preview.dispatchEvent(preview.button.element, 'custom');
+      expect(custom instanceof frame.contentWindow.CustomEvent).toBe(true);
+
+      preview.dispatchEvent(preview.button.element, 'click', frame.contentWindow.MouseEvent);
+      expect(click.view === frame.contentWindow).toBe(true);
+    });
+
+    it('should be able to select the frame body.', () => {
+      preview.roots = {};
+      preview.selectors.frameBody = { selector: 'h1', root: 'body' };
+      expect(preview.frameBody.root).toBe(frame.contentDocument.body);
+    });
+  });
+
+  describe('with XPath selectors', function() {
+    beforeEach(function() {
+      page.destroySandbox();
+      page = new PageObject(null, {
+        save: { xpath: '//button[normalize-space()="Save"]' },
+        buttons: 'xpath://button',
+        items: 'xpath:.//li',
+        textNodes: { xpath: '//li/text()' },
+        controls: 'xpath://li[text()="Two"] | //button[text()="Cancel"]',
+        secondItem: 'xpath:(//li)[text()="Two"]',
+      });
+      page.render(
+        <div>
+          <ul><li>One</li><li>Two</li><li>Three</li></ul>
+          <button type="button">Cancel</button>
+          <button type="button" onClick={onClick}>  Save  </button>
+        </div>
+      );
+
+      // Elements outside of the page root should not be selected.
+      const outside = document.createElement('button');
+      outside.textContent = 'Outside';
+      document.body.appendChild(outside);
+    });
+
+    afterEach(function() {
+      document.body.querySelectorAll('body > button, body > li').forEach((node) => node.remove());
+    });
+
+    it('should select elements with an XPath descriptor.', () => {
+      expect(page.save.exists).toBe(true);
+      page.save.click();
+      expect(onClick).toHaveBeenCalled();
+    });
+
+    it('should select elements with an xpath prefixed selector.', () => {
+      expect(page.buttons.count).toEqual(2);
+      expect(page.buttons.values).toEqual(['Cancel', 'Save']);
+    });
+
+    it('should return elements in document order.', () => {
+      expect(page.items.nth(2).text).toEqual('Three');
+      expect(page.items.values).toEqual(['One', 'Two', 'Three']);
+    });
+
+    it('should only search the root in each path of a union.', () => {
+      const outside = document.createElement('button');
+      outside.textContent = 'Cancel';
+      document.body.appendChild(outside);
+      expect(page.controls.values).toEqual(['Two', 'Cancel']);
+    });
+
+    it('should only search the root in parenthesized paths.', () => {
+      const outside = document.createElement('li');
+      outside.textContent = 'Two';
+      document.body.insertBefore(outside, document.body.firstChild);
+      expect(page.secondItem.count).toEqual(1);
+      expect(page.secondItem.element.parentNode.tagName).toEqual('UL');
+    });
+
+    it('should ignore nodes that are not elements.', () => {
+      expect(page.textNodes.count).toEqual(0);
+    });
+
+    it('should work with refinements.', () => {
+      expect(page.buttons.not('xpath://button[text()="Cancel"]').count).toEqual(1);
+    });
+  });
+
+  describe('strict mode', function() {
+    class StrictPageObject extends ExamplePageObject {
+      strict = true;
+    }
+
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should return null for missing elements by default.', () => {
+      expect(page.fake.element).toBeNull();
+    });
+
+    it('should throw an error describing the selection when nothing matches.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.fake.element).toThrow(
+        'Could not find an element matching selector "fake" (fake) of ExamplePageObject within:'
+      );
+      expect(() => page.fake.text).toThrow();
+      expect(() => page.fake.click()).toThrow();
+    });
+
+    it('should still be able to check if elements exist.', () => {
+      PageObject.configure({ strict: true });
+      expect(page.fake.exists).toBe(false);
+      expect(page.fake.count).toEqual(0);
+      expect(page.fake.visible).toBe(false);
+    });
+
+    it('should throw when setting the value of a missing element.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.fake.value = 'foo').toThrow();
+    });
+
+    it('should throw when selecting an index that does not exist.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.input.elementAt(3)).toThrow(
+        'Could not find an element at index 3 because there are 1 elements matching selector "input"'
+      );
+      expect(() => page.input.clickNth(3)).toThrow();
+      expect(() => page.input.nth(3).element).toThrow('([data-test=textInput].nth(3))');
+    });
+
+    it('should be able to enable strict mode for a single PageObject.', () => {
+      const strictPage = new StrictPageObject();
+      strictPage.sandbox = page.sandbox;
+      expect(() => strictPage.fake.element).toThrow('of StrictPageObject');
+      expect(page.fake.element).toBeNull();
+    });
+
+    it('should be able to disable strict mode for a single PageObject.', () => {
+      PageObject.configure({ strict: true });
+      page.strict = false;
+      expect(page.fake.element).toBeNull();
+    });
+
+    it('should allow multiple matches unless ambiguous elements are strict.', () => {
+      PageObject.configure({ strict: true });
+      expect(page.form1.count).toEqual(1);
+      expect(page.p.element).toBeDefined();
+
+      page.selectors = { ...selectors, forms: 'form' };
+      expect(page.forms.element).toBe(page.form1.element);
+
+      PageObject.configure({ strict: { missing: true, ambiguous: true } });
+      expect(() => page.forms.element).toThrow(
+        'Expected a single element but found 2 elements matching selector "forms" (form)'
+      );
+    });
+
+    it('should only throw for the kinds of failures that are strict.', () => {
+      spyOn(console, 'error');
+      PageObject.configure({ strict: { ambiguous: true } });
+      expect(page.fake.element).toBeNull();
+      expect(() => page.fake.click()).not.toThrow();
+      expect(() => page.input.elementAt(3)).not.toThrow();
+      expect(console.error).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('suggesting similar selectors', function() {
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should suggest selector names and test ids similar to a missing selector.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.submitButon.element).toThrow(
+        'Did you mean "submitButon" to be one of the following?\n' +
+        '  Selectors: "submitButton", "submitInput", "normalButton", "input", "checkbox"\n' +
+        '  Test ids in the DOM: "submitButton", "submitInput", "normalButton", "textInput", "checkbox"'
+      );
+    });
+
+    it('should include suggestions when await times out.', () => {
+      return page.textInpt.await(20).then(
+        () => { throw new Error('Should have rejected'); },
+        (error) => {
+          expect(error.message).toContain('await timed out waiting for [data-test=textInpt]');
+          expect(error.message).toContain('Test ids in the DOM: "textInput",');
+        }
+      );
+    });
+
+    it('should include suggestions in the errors logged outside of strict mode.', () => {
+      spyOn(console, 'error');
+      expect(page.submitButon.element).toBeNull();
+      page.submitButon.click();
+      page.submitButon.elementAt(1);
+      expect(console.error).toHaveBeenCalledTimes(2);
+      console.error.calls.allArgs().forEach(([message]) => {
+        expect(message).toContain('Did you mean "submitButon" to be one of the following?');
+        expect(message).toContain('Test ids in the DOM: "submitButton",');
+      });
+    });
+
+    it('should not suggest selectors when the element exists.', () => {
+      spyOn(console, 'error');
+      page.input.elementAt(3);
+      expect(console.error.calls.argsFor(0)[0]).not.toContain('Did you mean');
+    });
+
+    it('should not suggest the name of the selector that is missing.', () => {
+      PageObject.configure({ strict: true });
+      expect(() => page.fake.element).not.toThrow(/Selectors: .*"fake"/);
+    });
+  });
+
+  describe('configuration', function() {
+    afterEach(function() {
+      resetConfiguration();
+    });
+
+    it('should use the configured test id attribute for undefined selectors.', () => {
+      const element = document.createElement('span');
+      element.setAttribute('data-qa', 'extra');
+      page.sandbox.appendChild(element);
+
+      expect(page.extra.exists).toBe(false);
+      PageObject.configure({ testIdAttribute: 'data-qa' });
+      expect(page.extra.element).toBe(element);
+      expect(page.extra.description).toEqual('[data-qa=extra]');
+    });
+
+    it('should prefer options set on the PageObject.', () => {
+      PageObject.configure({ testIdAttribute: 'data-qa' });
+      page.testIdAttribute = 'data-test';
+      expect(page.exampleComponent.description).toEqual('[data-test=exampleComponent]');
+    });
+
+    it('should use the configured timeout when awaiting elements.', () => {
+      PageObject.configure({ defaultTimeout: 20, pollInterval: 5 });
+      const start = Date.now();
+      return page.fake.await().then(
+        () => { throw new Error('Should have rejected'); },
+        () => expect(Date.now() - start).toBeLessThan(500)
+      );
+    });
+
+    it('should be able to disable selector conflict warnings.', () => {
+      spyOn(console, 'warn');
+      page.selectors = { ...selectors, render: 'div' };
+      page.render;
+      expect(console.warn).toHaveBeenCalledTimes(1);
+
+      PageObject.configure({ warnOnConflicts: false });
+      page.render;
+      expect(console.warn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should use the configured sandbox ids.', () => {
+      page.destroySandbox();
+      PageObject.configure({ sandboxIds: { root: 'custom-root' } });
+      page.render(<div data-test="root" />);
+
+      expect(page.sandbox.id).toEqual('custom-root');
+      expect(page.sandboxApp.id).toEqual('sandbox-app');
+      page.destroySandbox();
+      expect(document.getElementById('custom-root')).toBeNull();
+    });
+
+    it('should expose the sandbox ids on the PageObject.', () => {
+      expect(page.sandboxIds).toEqual({
+        root: 'sandbox-root',
+        app: 'sandbox-app',
+        styles: 'sandbox-styles',
+      });
+
+      PageObject.configure({ sandboxIds: { styles: 'custom-styles' } });
+      expect(page.sandboxIds.styles).toEqual('custom-styles');
+
+      page.destroySandbox();
+      page.sandboxIds = { root: 'page-root' };
+      expect(page.sandboxIds).toEqual({
+        root: 'page-root',
+        app: 'sandbox-app',
+        styles: 'custom-styles',
+      });
+      page.render(<div data-test="root" />);
+      expect(page.sandbox.id).toEqual('page-root');
+      page.destroySandbox();
+    });
+
+    it('should merge the sandbox ids defined by a subclass.', () => {
+      class CustomSandboxPageObject extends ExamplePageObject {
+        sandboxIds = { app: 'custom-app' };
+      }
+      expect(new CustomSandboxPageObject().sandboxIds).toEqual({
+        root: 'sandbox-root',
+        app: 'custom-app',
+        styles: 'sandbox-styles',
+      });
+    });
+
+    it('should throw for unknown options.', () => {
+      expect(() => PageObject.configure({ stict: true })).toThrow(
+        'Unknown configuration option(s) "stict".'
+      );
+    });
+  });
+
   // TODO Remaining tests:
   // pressEnter
   // clickNth
@@ -211,5 +2376,4 @@ describe('PageObject subclass', function() {
   // clickElement
   // setInputValue
   // findByTestName
-  // dragAndDropElement
 });
@@ -3,7 +3,20 @@ import {
   prettyDOM,
 } from '@testing-library/react';
 
-function getContainer(root) {
+import {
+  getSuggestions,
+  hasAttribute,
+  hasText,
+  isQueryDescriptor,
+  matchesSelector,
+  queryAll,
+  selectorToString,
+  valueToString,
+} from './queries';
+import { configure, getOption, getTimeout } from './config';
+import { getFrameRoot, isFrameLoaded, waitForMe } from './util';
+
+function resolveContainer(root) {
   return typeof(root) === 'string'
     // TODO Use the render root rather than body.
     ? document.body.querySelector(root)
@@ -12,11 +25,89 @@ function getContainer(root) {
     : root;
 }
 
-function notFoundMessage(selector, index, container) {
-  return `Could not find a element matching ${selector} and index ${index} within: \n${prettyDOM(container)}`;
+function getContainer(root) {
+  // Select within the document loaded in iframe containers.
+  return getFrameRoot(resolveContainer(root));
+}
+
+/*
+ * Get the container a selector should select within. If the selector
+ * doesn't define a root, the page container is used. Otherwise, the root
+ * can be the name of one of the page `roots` (`body` always refers to
+ * `document.body`) or anything accepted by `getContainer`.
+ */
+function getSelectorRoot(page, root, container) {
+  if (!root) {
+    return container;
+  }
+
+  return () => {
+    const roots = {
+      body: document.body,
+      ...page.roots,
+    };
+    return getContainer(
+      typeof(root) === 'string' && root in roots ? roots[root] : root
+    );
+  };
+}
+
+/*
+ * Normalize a selector definition. Selectors can be defined as
+ * a string, a function, a `[selector, PageOClass]` pair or an
+ * object like `{selector, pageObject, root}`.
+ */
+function parseSelector(definition) {
+  if (isQueryDescriptor(definition)) {
+    // Query descriptors can use the Testing Library `selector`
+    // option (ex. `{label: 'Email', selector: 'input'}`).
+    return { selector: definition };
+  } else if (definition && typeof(definition) === 'object' && 'selector' in definition) {
+    const { selector, pageObject, root } = definition;
+    return {
+      selector: pageObject ? [selector, pageObject] : selector,
+      root,
+    };
+  } else {
+    return { selector: definition };
+  }
+}
+
+/*
+ * Get the attribute used to select properties
+ * that aren't defined in `selectors`.
+ */
+function getTestIdAttribute(page) {
+  return getOption(page, 'testIdAttribute') || 'data-testid';
+}
+
+/*
+ * The `context` is the `{name, page}` the selector was accessed through
+ * and is used to suggest similar selector names and test ids.
+ */
+function notFoundMessage(selector, index, container, context = {}) {
+  const { name, page } = context;
+  const suggestions = name && page
+    ? getSuggestions(name, Object.keys(page.allSelectors), container, getTestIdAttribute(page))
+    : '';
+  return `Could not find a element matching ${selector} and index ${index} within: \n${prettyDOM(container)}\n${suggestions}`;
 }
 
-function selectAsFunction(root, selector, index = 0) {
+function selectAsDescriptor(root, selector, index = 0, context) {
+  const c = getContainer(root);
+  if (!c) {
+    throw new Error(`Unable to find container to select within. Received: \n${root}`);
+  }
+
+  const list = queryAll(c, selector);
+  if (index > list.length - 1 || index < 0) {
+    throw new Error(notFoundMessage(selectorToString(selector), index, c, context));
+  } else {
+    return list[index];
+  }
+}
+
+function selectAsFunction(root, selector, index = 0, context) {
   const c = getContainer(root);
   if (!c) {
     throw new Error(`Unable to find container to select within. Received: \n${root}`);
@@ -24,7 +115,7 @@ function selectAsFunction(root, selector, index = 0) {
 
   const list = selector(c, index);
   if (!list || list.length === 0 || index > list.length - 1 || index < 0) {
-    throw new Error(notFoundMessage(selector, index, c));
+    throw new Error(notFoundMessage(selector, index, c, context));
   } else if (list.length > 0) {
     return list[index];
   } else {
@@ -32,23 +123,31 @@ function selectAsFunction(root, selector, index = 0) {
   }
 }
 
-export function selectAsString(root, selector, index = 0) {
+/*
+ * Determine if the container is the first element
+ * matching `selector` within its parent.
+ */
+function isContainerMatch(container, selector) {
+  return !!container.parentElement &&
+    queryAll(container.parentElement, selector)[0] === container;
+}
+
+export function selectAsString(root, selector, index = 0, context) {
   const c = getContainer(root);
   if (!c) {
     throw new Error(`Unable to find container to select within. Received ${root}`);
   }
 
-  const list = c.querySelectorAll(selector);
+  const list = queryAll(c, selector);
   if (!list || list.length === 0) {
     // If root matches what we are searching for, return root.
-    const fromParent = c.parentElement.querySelector(selector);
-    if (fromParent === c) {
+    if (isContainerMatch(c, selector)) {
       return c;
     } else {
-      throw new Error(notFoundMessage(selector, index, c));
+      throw new Error(notFoundMessage(selector, index, c, context));
     }
   } else if (index > list.length - 1 || index < 0) {
-    throw new Error(notFoundMessage(selector, index, c));
+    throw new Error(notFoundMessage(selector, index, c, context));
   } else if (list.length > 0) {
     return list[index];
   } else {
@@ -59,17 +158,198 @@ export function selectAsString(root, selector, index = 0) {
   // If selector = array, return selector
 }
 
-export function makeSelector(selector, root = document.body, index = 0) {
+/*
+ * The most elements a function selector that returns a
+ * single element per index can select.
+ */
+const MAX_FUNCTION_SELECTIONS = 10000;
+
+/*
+ * Select all of the elements matching `selector` inside of `root`.
+ */
+function selectAll(root, selector) {
+  const c = getContainer(root);
+  if (!c) {
+    throw new Error(`Unable to find container to select within. Received ${root}`);
+  }
+
+  if (typeof(selector) === 'string') {
+    const list = Array.from(queryAll(c, selector));
+    // If root matches what we are searching for, select root.
+    if (list.length === 0 && isContainerMatch(c, selector)) {
+      return [c];
+    }
+    return list;
+  } else if (isQueryDescriptor(selector)) {
+    return Array.from(queryAll(c, selector));
+  } else if (typeof(selector) === 'function') {
+    // Function selectors can either return the full list of elements
+    // or the element at the requested index. Selectors that ignore the
+    // index return the same element again, which ends the list.
+    const elements = [];
+    let result = selector(c, 0);
+    while (result && elements.length < MAX_FUNCTION_SELECTIONS) {
+      if (!result.nodeType) {
+        return Array.from(result);
+      }
+      if (elements.includes(result)) {
+        break;
+      }
+      elements.push(result);
+      result = selector(c, elements.length);
+    }
+    return elements;
+  } else {
+    return selector ? [selector] : [];
+  }
+}
+
+/*
+ * Throw an error if `selector` matches more than one element and the
+ * `strict` option of the page (or the global configuration) enables
+ * `ambiguous`. PageO always throws when nothing matches a selector.
+ */
+function assertUnambiguous(root, selector, context) {
+  const strict = getOption(context.page, 'strict');
+  if (!strict || !strict.ambiguous) {
+    return;
+  }
+
+  const count = selectAll(root, selector).length;
+  if (count > 1) {
+    throw new Error(
+      `Expected a single element but found ${count} elements matching ` +
+      `${selectorToString(selector)} within: \n${prettyDOM(getContainer(root))}`
+    );
+  }
+}
+
+const COLLECTION_METHODS = [
+  'forEach',
+  'map',
+  'filter',
+  'find',
+  'some',
+  'every',
+  Symbol.iterator,
+];
+
+/*
+ * Add the Array iteration methods (forEach, map, filter, ...) to the
+ * selector function `s`. Each callback receives the selector for an
+ * element matching `selector` (ie. `s(index)`) and the index of that element.
+ */
+function addCollectionMethods(s, selector, root) {
+  const toArray = () => selectAll(root, selector).map((element, i) => s(i));
+
+  COLLECTION_METHODS.forEach((method) => {
+    s[method] = (...args) => toArray()[method](...args);
+  });
+}
+
+/*
+ * The `{selector, root}` each selector function created by
+ * `makeSelector` selects. Refinements use this to compare the
+ * elements of selectors passed as their argument.
+ */
+const selections = new WeakMap();
+
+const REFINEMENT_METHODS = [
+  'withText',
+  'withAttribute',
+  'containing',
+  'not',
+];
+
+/*
+ * Add the refinement methods (withText, withAttribute, containing, not)
+ * to the selector function `s`. Each method returns a new selector that
+ * only matches the elements of `selector` that pass the refinement.
+ * `wrap` creates that new selector from the refined selector function.
+ */
+function addRefinementMethods(s, selector, root, wrap) {
+  const refine = (description, test) => {
+    const refined = (c) => selectAll(c, selector).filter((element) => test(element, c));
+    refined.toString = () => `${selectorToString(selector)}.${description}`;
+    return wrap(refined);
+  };
+
+  s.withText = (text) => refine(
+    `withText(${valueToString(text)})`,
+    (element) => hasText(element, text)
+  );
+
+  s.withAttribute = (name, value) => refine(
+    value === undefined
+      ? `withAttribute(${valueToString(name)})`
+      : `withAttribute(${valueToString(name)}, ${valueToString(value)})`,
+    (element) => hasAttribute(element, name, value)
+  );
+
+  s.containing = (other) => {
+    const selection = selections.get(other);
+    if (selection) {
+      return refine(
+        `containing(${selectorToString(selection.selector)})`,
+        (element) => selectAll(selection.root, selection.selector)
+          .some((child) => child !== element && element.contains(child))
+      );
+    }
+    return refine(
+      `containing(${selectorToString(other)})`,
+      (element) => queryAll(element, other).length > 0
+    );
+  };
+
+  s.not = (other) => {
+    const selection = selections.get(other);
+    if (selection) {
+      return refine(
+        `not(${selectorToString(selection.selector)})`,
+        (element) => !selectAll(selection.root, selection.selector).includes(element)
+      );
+    }
+    return refine(
+      `not(${selectorToString(other)})`,
+      (element, c) => !matchesSelector(element, other, c)
+    );
+  };
+}
+
+/*
+ * Create a selector function that can be used to select the element
+ * at a specific index by calling the selector with that index.
+ *
+ * The selector can also be a `[selector, PageOClass]` pair in which case
+ * calling the selector with an index returns a `PageOClass` instance
+ * whose container is the element at that index.
+ *
+ * The `context` is the `{name, page}` the selector was accessed through
+ * which is used to improve error messages and read the `strict` option.
+ * Without an `index`, the selector selects the first matching element
+ * and, with `strict.ambiguous`, throws if more than one element matches.
+ */
+export function makeSelector(selector, root = document.body, index, context = {}) {
+  if (Array.isArray(selector)) {
+    return makeNestedSelector(selector, root, index, context);
+  }
+
   const s = (i) => {
-    return makeSelector(selector, root, i);
+    return makeSelector(selector, root, i, context);
   }
 
   Object.defineProperty(s, 'element', {
     get: function() {
+      if (index === undefined) {
+        assertUnambiguous(root, selector, context);
+      }
+
       if (typeof(selector) === 'function') {
-        return selectAsFunction(root, selector, index);
+        return selectAsFunction(root, selector, index, context);
       } else if (typeof(selector) === 'string') {
-        return selectAsString(root, selector, index);
+        return selectAsString(root, selector, index, context);
+      } else if (isQueryDescriptor(selector)) {
+        return selectAsDescriptor(root, selector, index, context);
       } else {
         return selector;
       }
@@ -86,32 +366,16 @@ export function makeSelector(selector, root = document.body, index = 0) {
     s.element.click();
   }
 
-  s.forEach = (cb) => {
-    // Select all matching elements
-    // Call the callback for each one with
-    // 1. a selector wrapping the element
-    // 2. the index
-    // 3. the parent selector?
-  }
+  addCollectionMethods(s, selector, root);
+  addRefinementMethods(s, selector, root, (refined) => makeSelector(refined, root, undefined, context));
 
-  // TODO Find a way to deal with nested selectors.
-  // For Example, given:
-  // class Card extends PageObject {}
-  // class CardList extends PageObject {}
-  // class PageWithCards extends PageObject {}
-  //
-  // How do I select:
-  // PageWithCards.CardList.Card(2).title
-  //
-  // It would also be awesome if we could check for the
+  // TODO It would also be awesome if we could check for the
   // existance of the root level page selector:
   // PageWithCards.await --> waits for the root selector to be added to the DOM
   // PageWithCards.exists --> checks that root is defined
   // PageWithCards.CardList.exists --> checks that the root element that CardList wraps exists
 
-  // TODO Should be able to specify that some selectors target the body (or other portion of the dom).
-  // This will allow testing components that render content into a portal outside of the main component element.
-  return new Proxy(s, {
+  const proxy = new Proxy(s, {
     get(target, prop, receiver) {
       if (prop in target) {
         return Reflect.get(target, prop, receiver);
@@ -129,18 +393,85 @@ export function makeSelector(selector, root = document.body, index = 0) {
       }
     }
   });
+  selections.set(proxy, { selector, root });
+  return proxy;
+}
+
+/*
+ * Create a selector for a `[selector, PageOClass]` pair. Calling the
+ * returned function with an index gives you a `PageOClass` instance
+ * rooted at the element at that index. Any other property is forwarded
+ * to the `PageOClass` instance at the current index.
+ *
+ * For Example, given:
+ * class Card extends PageO {
+ *   selectors = { title: '[data-testid=title]' };
+ * }
+ * class PageWithCards extends PageO {
+ *   selectors = { card: ['[data-testid=card]', Card] };
+ * }
+ *
+ * You can select:
+ * page.card(2).title
+ */
+function makeNestedSelector([selector, PageClass], root, index, context) {
+  const s = (i) => {
+    return new PageClass(undefined, () => makeSelector(selector, root, i, context).element);
+  }
+
+  addCollectionMethods(s, selector, root);
+  addRefinementMethods(
+    s,
+    selector,
+    root,
+    (refined) => makeSelector([refined, PageClass], root, undefined, context)
+  );
+
+  const proxy = new Proxy(s, {
+    get(target, prop) {
+      if (COLLECTION_METHODS.includes(prop) || REFINEMENT_METHODS.includes(prop)) {
+        return Reflect.get(target, prop);
+      }
+      return target(index)[prop];
+    }
+  });
+  selections.set(proxy, { selector, root });
+  return proxy;
 }
 
 export class PageO {
+  /*
+   * Change the global configuration shared with `PageObject`.
+   * See `PageObject.configure()`.
+   */
+  static configure(options) {
+    return configure(options);
+  }
+
   constructor(selectors, container = document.body) {
     this.container = container;
     this.selectors = {};
     this.additionalSelectors = selectors;
+    // Named elements that selectors can use as their root.
+    this.roots = {};
+    // Override the global configuration for this page.
+    // See `PageO.configure()`.
+    this.testIdAttribute = null;
+    this.defaultTimeout = null;
+    this.pollInterval = null;
+    this.warnOnConflicts = null;
+    // PageO always throws when nothing matches a selector. Set
+    // `strict = { ambiguous: true }` to also throw if more than one
+    // element matches a selector that isn't given an index.
+    this.strict = null;
 
     return new Proxy(this, {
       get(target, prop, receiver) {
         if (prop in target) {
-          if (target.allSelectors[prop]) {
+          if (
+            Object.prototype.hasOwnProperty.call(target.allSelectors, prop) &&
+            getOption(target, 'warnOnConflicts')
+          ) {
             console.warn(
               `Selector name "${prop}" conflicts with an existing PageObject property.
                Consider renaming "selectors.${prop}".`
@@ -153,10 +484,21 @@ export class PageO {
             if (value instanceof PageO) {
               return value;
             } else {
-              return makeSelector(target.allSelectors[prop], container);
+              const { selector, root } = parseSelector(value);
+              return makeSelector(
+                selector,
+                getSelectorRoot(target, root, container),
+                undefined,
+                { name: prop, page: receiver }
+              );
             }
           } else {
-            return makeSelector(`[data-testid=${prop}]`, container);
+            return makeSelector(
+              `[${getTestIdAttribute(target)}=${prop}]`,
+              container,
+              undefined,
+              { name: prop, page: receiver }
+            );
           }
         }
       }
@@ -174,6 +516,21 @@ export class PageO {
     return getContainer(this.container);
   }
 
+  /*
+   * Wait for the container of this page to exist. If the container
+   * is an iframe, this also waits for the frame's content to load.
+   */
+  [ 'await' ](timeout) {
+    const page = this;
+    return waitForMe(() => {
+      const container = resolveContainer(page.container);
+
+      if (!container || (container.tagName === 'IFRAME' && !isFrameLoaded(container))) {
+        throw new Error(`await timed out waiting for the container ${page.container}`);
+      }
+    }, getTimeout(page, timeout), getOption(page, 'pollInterval'));
+  }
+
   // render(component) {
   //   this.lib = render(component);
   // }
@@ -1,4 +1,5 @@
 import React from 'react';
+import ReactDOM from 'react-dom';
 import { render } from '@testing-library/react';
 import { makeSelector, PageO } from './PageObject2';
 
@@ -50,6 +51,13 @@ fdescribe('PageO', function() {
     });
   });
 
+  describe('with a query descriptor', function() {
+    it('should pass the selector option to the query.', function() {
+      page = new PageO({ bar: { text: 'Bar', selector: 'div' } });
+      expect(page.bar.map((s) => s.element)).toEqual([testLib.getAllByTestId('foo')[1]]);
+    });
+  });
+
   describe('with a property that does not exist on selectors', function() {
     it('should use the property as a testid selector.', function() {
       expect(page.baz.element).toEqual(document.querySelector('[data-testid=baz]'));
@@ -60,6 +68,55 @@ fdescribe('PageO', function() {
       expect(() => page.bozo.element).toThrow();
       expect(() => page.baz(2).element).toThrow();
     });
+
+    it('should suggest similar selector names and test ids.', () => {
+      expect(() => page.bazz.element).toThrow(
+        'Did you mean "bazz" to be one of the following?\n' +
+        '  Selectors: "bar", "foo"\n' +
+        '  Test ids in the DOM: "baz", "bar", "foo", "root"'
+      );
+    });
+  });
+
+  describe('with a configured test id attribute', function() {
+    afterEach(function() {
+      PageO.configure({ testIdAttribute: null });
+    });
+
+    it('should use the configured attribute for undefined selectors.', function() {
+      document.querySelector('[data-testid=baz]').setAttribute('data-qa', 'qa');
+      PageO.configure({ testIdAttribute: 'data-qa' });
+      expect(page.qa.text).toEqual('Foo Bar Baz');
+      expect(() => page.baz.element).toThrow();
+    });
+  });
+
+  describe('in strict mode', function() {
+    afterEach(function() {
+      PageO.configure({ strict: false });
+    });
+
+    it('should throw for ambiguous selectors when configured globally.', function() {
+      PageO.configure({ strict: { ambiguous: true } });
+      expect(() => page.foo.element).toThrow(
+        'Expected a single element but found 3 elements matching [data-testid=foo]'
+      );
+      expect(page.foo(1).text).toEqual('Bar');
+      expect(page.foo.withText('Baz').text).toEqual('Baz');
+      expect(page.baz.text).toEqual('Foo Bar Baz');
+    });
+
+    it('should throw for ambiguous selectors when configured on the page.', function() {
+      expect(page.foo.text).toEqual('Foo');
+      page.strict = { ambiguous: true };
+      expect(() => page.foo.text).toThrow('Expected a single element but found 3 elements');
+      expect(() => new PageO(selectors).foo.text).not.toThrow();
+    });
+
+    it('should always throw for missing elements.', function() {
+      page.strict = { missing: false, ambiguous: true };
+      expect(() => page.bozo.element).toThrow('Could not find a element matching [data-testid=bozo]');
+    });
   });
 
   describe('with another PageO as selector', function() {
@@ -140,6 +197,125 @@ fdescribe('PageO composition', function() {
   });
 });
 
+fdescribe('PageO nesting', function() {
+  let page, testLib;
+
+  class Card extends PageO {
+    selectors = {
+      title: '[data-testid=title]',
+    };
+  }
+
+  beforeEach(function() {
+    testLib = render(
+      <div data-testid="list">
+        <div data-testid="card"><div data-testid="title">First</div></div>
+        <div data-testid="card"><div data-testid="title">Second</div></div>
+        <div data-testid="card"><div data-testid="title">Third</div></div>
+      </div>
+    );
+
+    page = new PageO({
+      card: ['[data-testid=card]', Card],
+    });
+  });
+
+  it('should return a page object for the element at the given index.', function() {
+    expect(page.card(2) instanceof Card).toBe(true);
+    expect(page.card(2).element).toEqual(testLib.getAllByTestId('card')[2]);
+  });
+
+  it('should be able to select within the nested page object.', function() {
+    expect(page.card(1).title.text).toEqual('Second');
+    expect(page.card(2).title.text).toEqual('Third');
+  });
+
+  it('should forward properties to the first nested page object.', function() {
+    expect(page.card.title.text).toEqual('First');
+    expect(page.card.element).toEqual(testLib.getAllByTestId('card')[0]);
+  });
+
+  it('should be able to iterate over the nested page objects.', function() {
+    expect(page.card.map((card) => card.title.text)).toEqual(['First', 'Second', 'Third']);
+    expect(page.card.every((card) => card instanceof Card)).toBe(true);
+  });
+
+  it('should throw an error if the nested page object root does not exist.', function() {
+    expect(() => page.card(4).title.text).toThrow();
+  });
+});
+
+fdescribe('PageO portals', function() {
+  let page, overlay;
+
+  class Dialog extends PageO {
+    roots = {
+      overlay: () => overlay,
+    };
+    selectors = {
+      scopedTitle: '[data-testid=title]',
+      title: { selector: '[data-testid=title]', root: 'body' },
+      toast: { selector: '[data-testid=toast]', root: 'overlay' },
+    };
+  }
+
+  beforeEach(function() {
+    overlay = document.createElement('div');
+    overlay.innerHTML = '<div data-testid="toast">Toast</div>';
+    document.body.appendChild(overlay);
+
+    render(
+      <div data-testid="component">
+        {ReactDOM.createPortal(<div data-testid="title">Title</div>, document.body)}
+      </div>
+    );
+
+    page = new Dialog({}, '[data-testid=component]');
+  });
+
+  afterEach(function() {
+    overlay.remove();
+  });
+
+  it('should scope selectors to the page container by default.', function() {
+    expect(() => page.scopedTitle.element).toThrow();
+  });
+
+  it('should be able to select elements in the document body.', function() {
+    expect(page.title.text).toEqual('Title');
+  });
+
+  it('should be able to select elements in a named root.', function() {
+    expect(page.toast.text).toEqual('Toast');
+  });
+});
+
+fdescribe('PageO frames', function() {
+  let page, frame;
+
+  beforeEach(function() {
+    render(<iframe title="preview" data-testid="preview" />);
+    frame = document.querySelector('[data-testid=preview]');
+
+    page = new PageO({ title: 'h1' }, '[data-testid=preview]');
+    return page.await().then(() => {
+      frame.contentDocument.body.innerHTML = '<h1>Preview</h1>';
+    });
+  });
+
+  it('should select within the frame document.', function() {
+    expect(page.element).toBe(frame.contentDocument.documentElement);
+    expect(page.title.text).toEqual('Preview');
+  });
+
+  it('should time out waiting for a container that does not exist.', function() {
+    return new PageO({}, '[data-testid=missing]').await(20).then(
+      () => { throw new Error('Should have rejected'); },
+      (error) => expect(error.message).toContain('[data-testid=missing]')
+    );
+  });
+});
+
 fdescribe('PageO inheritance', function() {
   let page, testLib;
 
@@ -251,6 +427,55 @@ fdescribe('Selectors', function() {
     });
   });
 
+  describe('with a query descriptor', function() {
+    beforeEach(function() {
+      page = makeSelector({ text: /^Ba/ });
+    });
+
+    it('should retrieve the first matching element', function() {
+      expect(page.element).toEqual(testLib.getAllByTestId('foo')[1]);
+    });
+
+    it('should retrieve the second matching element.', () => {
+      expect(page(1).element).toEqual(testLib.getAllByTestId('foo')[2]);
+    });
+
+    it('should throw an exception when requesting an element index that is out of bounds.', () => {
+      expect(() => page(2).element).toThrow();
+      expect(() => page(-1).element).toThrow();
+    });
+  });
+
+  describe('with an XPath selector', function() {
+    it('should retrieve the matching elements with an XPath descriptor.', function() {
+      page = makeSelector({ xpath: '//div[@data-testid="foo"]' });
+      expect(page.element).toEqual(testLib.getAllByTestId('foo')[0]);
+      expect(page(2).text).toEqual('Baz');
+      expect(() => page(3).element).toThrow();
+    });
+
+    it('should retrieve the matching elements with an xpath prefixed selector.', function() {
+      page = makeSelector('xpath://div[contains(@class, "bar")]');
+      expect(page.element).toEqual(testLib.getAllByTestId('foo')[1]);
+      expect(page.map((s) => s.text)).toEqual(['Bar']);
+    });
+  });
+
+  describe('with a shadow root selector', function() {
+    beforeEach(function() {
+      testLib.getByTestId('baz')
+        .attachShadow({ mode: 'open' })
+        .innerHTML = '<span data-testid="foo">Shadow One</span><span data-testid="foo">Shadow Two</span>';
+      page = makeSelector('[data-testid=baz] >>> [data-testid=foo]');
+    });
+
+    it('should retrieve the matching elements inside of the shadow root.', function() {
+      expect(page.text).toEqual('Shadow One');
+      expect(page(1).text).toEqual('Shadow Two');
+      expect(() => page(2).element).toThrow();
+    });
+  });
+
   describe('with a DOM element', function() {
     beforeEach(function() {
       page = makeSelector(selectors.func(document.body));
@@ -262,6 +487,90 @@ fdescribe('Selectors', function() {
     });
   });
 
+  describe('iteration', function() {
+    it('should call forEach with a selector and index for each element.', function() {
+      const callback = jasmine.createSpy('callback');
+      makeSelector(selectors.str).forEach(callback);
+      expect(callback).toHaveBeenCalledTimes(3);
+      expect(callback.calls.argsFor(1)[0].text).toEqual('Bar');
+      expect(callback.calls.argsFor(1)[1]).toEqual(1);
+    });
+
+    it('should be able to map, filter and find with a string selector.', function() {
+      page = makeSelector(selectors.str);
+      expect(page.map((s) => s.text)).toEqual(['Foo', 'Bar', 'Baz']);
+      expect(page.filter((s) => s.text.startsWith('Ba')).length).toEqual(2);
+      expect(page.find((s) => s.text === 'Baz').element).toEqual(testLib.getAllByTestId('foo')[2]);
+    });
+
+    it('should be able to iterate with a function selector.', function() {
+      page = makeSelector(selectors.func);
+      expect([...page].map((s) => s.text)).toEqual(['Foo', 'Bar', 'Baz']);
+      expect(page.some((s) => s.text === 'Bar')).toBe(true);
+      expect(page.every((s) => s.text === 'Bar')).toBe(false);
+    });
+
+    it('should stop iterating a function selector that ignores the index.', function() {
+      page = makeSelector(() => testLib.getAllByTestId('foo')[1]);
+      expect(page.map((s) => s.text)).toEqual(['Bar']);
+    });
+  });
+
+  describe('refinement', function() {
+    beforeEach(function() {
+      page = makeSelector('[data-testid]');
+    });
+
+    it('should be able to select elements containing text.', function() {
+      page = makeSelector(selectors.str);
+      expect(page.withText('Baz').element).toEqual(testLib.getAllByTestId('foo')[2]);
+      expect(page.withText(/^Ba/)(1).element).toEqual(testLib.getAllByTestId('foo')[2]);
+      expect(() => page.withText('Bozo').element).toThrow();
+    });
+
+    it('should be able to select elements with an attribute.', function() {
+      expect(page.withAttribute('class').text).toEqual('Bar');
+      expect(page.withAttribute('data-testid', 'baz').text).toEqual('Foo Bar Baz');
+    });
+
+    it('should be able to select elements containing other elements.', function() {
+      expect(page.containing({ text: 'Bar' }).element).toEqual(testLib.getByTestId('root'));
+    });
+
+    it('should be able to exclude elements.', function() {
+      expect(page.not('[data-testid=root]').not('.foo').map((s) => s.text))
+        .toEqual(['Foo', 'Baz', 'Foo Bar Baz']);
+    });
+
+    describe('with another selector', function() {
+      beforeEach(function() {
+        testLib.unmount();
+        render(
+          <table>
+            <tbody>
+              <tr data-testid="row"><td data-testid="name">Acme</td></tr>
+              <tr data-testid="row"><td>Other</td></tr>
+              <tr data-testid="row"><td><b>Third</b></td></tr>
+            </tbody>
+          </table>
+        );
+        page = new PageO({ row: '[data-testid=row]' });
+      });
+
+      it('should be able to select elements containing the elements of that selector.', () => {
+        expect(page.row.containing(page.name).map((s) => s.text)).toEqual(['Acme']);
+        expect(page.row.containing(page.row(2)).map((s) => s.text)).toEqual([]);
+      });
+
+      it('should be able to exclude the elements of that selector.', function() {
+        expect(page.row.not(page.row.containing('b')).map((s) => s.text))
+          .toEqual(['Acme', 'Other']);
+        expect(page.row.not(page.row.withText('Acme')).map((s) => s.text))
+          .toEqual(['Other', 'Third']);
+      });
+    });
+  });
+
   describe('selector methods', function() {
     beforeEach(function() {
       page = makeSelector(selectors.str);
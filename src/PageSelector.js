@@ -3,11 +3,54 @@ import {
   waitForElementToBeRemoved,
   prettyDOM,
 } from '@testing-library/react';
+
 import {
-  getByText,
-} from '@testing-library/dom';
+  getAvailableLabels,
+  getFormControls,
+  getSuggestions,
+  hasAttribute,
+  hasText,
+  isCSSSelector,
+  matchesSelector,
+  queryAll,
+  queryAllFormControls,
+  selectorToString,
+  valueToString,
+} from './queries';
+import { getOption, getTimeout } from './config';
+import { parseKeys, pressKey, type } from './keyboard';
+import { click, hover, unhover } from './pointer';
+import { longPress, pinch, swipe, tap } from './touch';
+import { getFormValues, getWindow, waitForMe } from './util';
+
+/*
+ * Get the whitespace normalized label of an OPTION element.
+ */
+function getOptionLabel(option) {
+  return option.label.replace(/\s+/g, ' ').trim();
+}
+
+/*
+ * Find the option of `select` whose value or label matches
+ * `labelOrValue` (a string or RegExp). Values are preferred over labels.
+ */
+function matchOption(select, labelOrValue) {
+  const options = Array.from(select.options);
+  const matches = (text) => labelOrValue instanceof RegExp
+    ? labelOrValue.test(text)
+    : text === String(labelOrValue);
+
+  return options.find((o) => matches(o.value)) ||
+    options.find((o) => matches(getOptionLabel(o))) ||
+    null;
+}
 
-import { waitForMe } from './util';
+/*
+ * Determine if `element` is an INPUT of the given type.
+ */
+function isInputOfType(element, type) {
+  return element.tagName === 'INPUT' && element.type === type;
+}
 
 /*
  * An object that is configured to interact with a specific
@@ -15,20 +58,129 @@ import { waitForMe } from './util';
  * directly as it is returned by PageObject for you.
  */
 export default class PageSelector {
-  constructor(selector, root) {
+  /*
+   * @param {string|object} selector - The query selector or query
+   *   descriptor (ex. `{role: 'button', name: /save/i}`) to match elements with.
+   * @param {HTMLElement} root - The element to search within.
+   * @param {Function} [pageObject] - A PageObject class used to wrap
+   *   the elements returned by `nth()`.
+   * @param {object} [options]
+   * @param {string} [options.name] - The name of this selector in the
+   *   PageObject selectors.
+   * @param {PageObject} [options.page] - The PageObject this selector
+   *   belongs to. Used for configuration and error messages.
+   */
+  constructor(selector, root, pageObject, { name, page } = {}) {
     this.selector = selector;
     this.root = root;
+    this.pageObject = pageObject;
+    this.name = name;
+    this.page = page;
+    // Tests used to narrow the elements matching `selector`.
+    // See `withText`, `withAttribute`, `containing` and `not`.
+    this.filters = [];
+  }
+
+  /*
+   * Get a readable description of this selector for use in error messages.
+   */
+  get description() {
+    return this.filters.reduce(
+      (description, filter) => `${description}.${filter.description}`,
+      selectorToString(this.selector)
+    );
+  }
+
+  /*
+   * @private
+   * Get the strict mode settings for this selector from its
+   * PageObject or the global configuration.
+   */
+  get strictMode() {
+    const strict = getOption(this.page, 'strict');
+    if (strict === true) {
+      return { missing: true, ambiguous: false };
+    }
+    return { missing: false, ambiguous: false, ...strict };
+  }
+
+  /*
+   * @private
+   * Describe this selector, the PageObject it belongs to
+   * and its root for use in error messages.
+   */
+  describeSelection() {
+    const name = this.name ? `"${this.name}" ` : '';
+    const page = this.page ? this.page.constructor.name : 'PageSelector';
+    return `selector ${name}(${this.description}) of ${page} within:\n` +
+      prettyDOM(this.root);
+  }
+
+  /*
+   * @private
+   * Suggest the selector names of the PageObject and the test ids
+   * in the DOM that are similar to the name of this selector.
+   */
+  suggestions() {
+    if (!this.name || !this.page || !this.page.allSelectors) {
+      return '';
+    }
+    return getSuggestions(
+      this.name,
+      Object.keys(this.page.allSelectors),
+      this.root,
+      getOption(this.page, 'testIdAttribute') || 'data-test'
+    );
+  }
+
+  /*
+   * @private
+   * Throw an error if strict mode is enabled for the kind of failure
+   * (`missing` or `ambiguous`) or log it otherwise. When nothing matches
+   * this selector, similar selector names and test ids are suggested.
+   */
+  fail(kind, message) {
+    const hint = kind === 'missing' && this.root && !this.exists
+      ? this.suggestions()
+      : '';
+    const error = hint ? `${message}\n${hint}` : message;
+    if (this.strictMode[kind]) {
+      throw new Error(error);
+    }
+    console.error(error);
+  }
+
+  /*
+   * @private
+   * Get a new PageSelector that belongs to the same PageObject as this one.
+   */
+  derive(selector, root, pageObject) {
+    return new PageSelector(selector, root, pageObject, {
+      name: this.name,
+      page: this.page,
+    });
   }
 
   /*
    * Get the HTMLElement associated with this proxy.
+   * In strict mode, this throws an error if no elements
+   * (or optionally more than one element) match this selector.
    */
   get element() {
-    if (this.selector) {
-      return this.root.querySelector(this.selector);
-    } else {
-      return this.root;
+    const elements = this.allElements;
+    const { missing, ambiguous } = this.strictMode;
+    if (missing && elements.length === 0) {
+      throw new Error(
+        `Could not find an element matching ${this.describeSelection()}\n` +
+        this.suggestions()
+      );
+    } else if (ambiguous && elements.length > 1) {
+      throw new Error(
+        `Expected a single element but found ${elements.length} elements ` +
+        `matching ${this.describeSelection()}`
+      );
     }
+    return elements[0] || null;
   }
 
   /*
@@ -36,7 +188,17 @@ export default class PageSelector {
    * the selector for this proxy.
    */
   get allElements() {
-    return this.root.querySelectorAll(this.selector);
+    if (!this.selector) {
+      // Selectors without a query (ex. from `nth()`) match their root.
+      return this.root ? [this.root] : [];
+    }
+
+    const elements = queryAll(this.root, this.selector);
+    if (this.filters.length > 0) {
+      return Array.from(elements)
+        .filter((element) => this.filters.every((filter) => filter.test(element)));
+    }
+    return elements;
   }
 
   /*
@@ -45,19 +207,19 @@ export default class PageSelector {
    * one element matching the selector and you ask for index 0,
    * you will get that single element. If the selector returns
    * no elements or it returns a single element and you asked for
-   * element 2+, this function will return null and will log an error.
+   * element 2+, this function will return null and will log an error
+   * (or throw an error in strict mode).
    */
   elementAt(index) {
     const elements = this.allElements;
-    if (elements && elements.length && elements.length >= index) {
+    if (elements && elements.length && elements.length > index) {
       return elements[index];
-    } else if (index === 0) {
-      return this.element;
     } else {
-      const message = `Could not find a ${this.selector} element ` +
-        `at index ${index} because there are ${elements.length} ` +
-        `elements inside of`;
-      console.error(message, this.root);
+      this.fail(
+        'missing',
+        `Could not find an element at index ${index} because there are ` +
+        `${elements.length} elements matching ${this.describeSelection()}`
+      );
       return null;
     }
   }
@@ -73,7 +235,9 @@ export default class PageSelector {
 
   /*
    * Get a PageSelector configured to select against the
-   * nth element matching the selector.
+   * nth element matching the selector. If this selector
+   * was configured with a PageObject class, an instance of
+   * that PageObject rooted at the nth element is returned instead.
    *
    * Example:
    * const secondInput = page.input.nth(1);
@@ -81,10 +245,289 @@ export default class PageSelector {
    * page.input.nth(1).value = 'foo';
    *
    * expect( page.input.nth(2).exists ).toBe(true);
+   *
+   * // Given `selectors.card = ['[data-test=card]', CardPageObject]`
+   * expect( page.card.nth(2).title.text ).toEqual('Foo');
    */
   nth(index) {
-    const root = this.allElements[ index ];
-    return new PageSelector(null, root);
+    if (this.pageObject) {
+      const elements = this.allElements;
+      if (!(index >= 0 && index < elements.length)) {
+        this.fail(
+          'missing',
+          `Could not find an element at index ${index} to create a ` +
+          `${this.pageObject.name} because there are ${elements.length} ` +
+          `elements matching ${this.describeSelection()}`
+        );
+      }
+      return this.wrapElement(elements[ index ]);
+    }
+
+    const source = this;
+    const selector = () => [source.allElements[ index ]].filter(Boolean);
+    selector.toString = () => `${source.description}.nth(${index})`;
+    return this.derive(selector, this.root);
+  }
+
+  /*
+   * @private
+   * Get a PageSelector (or an instance of this selector's
+   * PageObject class) configured to select against a specific element.
+   */
+  wrapElement(element) {
+    if (this.pageObject) {
+      return new this.pageObject(element);
+    }
+    return this.derive(null, element);
+  }
+
+  /*
+   * Get a list of PageSelectors for each element matching this selector.
+   * If this selector was configured with a PageObject class, the list
+   * will contain instances of that PageObject instead.
+   */
+  toArray() {
+    return Array.from(this.allElements).map((element) => this.wrapElement(element));
+  }
+
+  /*
+   * Call `callback` with a PageSelector and the index of each
+   * element matching this selector.
+   *
+   * Example:
+   * page.row.forEach((row, index) => {
+   *   expect(row.text).toEqual(`Row ${index}`);
+   * });
+   */
+  forEach(callback) {
+    this.toArray().forEach(callback);
+  }
+
+  /*
+   * Map each element matching this selector to a new value.
+   *
+   * Example:
+   * const titles = page.card.map((card) => card.title.text);
+   */
+  map(callback) {
+    return this.toArray().map(callback);
+  }
+
+  /*
+   * Get the PageSelectors for the elements that pass the `callback` test.
+   */
+  filter(callback) {
+    return this.toArray().filter(callback);
+  }
+
+  /*
+   * Get the PageSelector for the first element that passes the `callback` test.
+   */
+  find(callback) {
+    return this.toArray().find(callback);
+  }
+
+  /*
+   * Determine if any of the elements matching this selector
+   * pass the `callback` test.
+   */
+  some(callback) {
+    return this.toArray().some(callback);
+  }
+
+  /*
+   * Determine if all of the elements matching this selector
+   * pass the `callback` test.
+   */
+  every(callback) {
+    return this.toArray().every(callback);
+  }
+
+  /*
+   * Iterate over the PageSelectors for each element matching this selector.
+   *
+   * Example:
+   * for (const row of page.row) {
+   *   row.click();
+   * }
+   */
+  [Symbol.iterator]() {
+    return this.toArray()[Symbol.iterator]();
+  }
+
+  /*
+   * @private
+   * Get a new PageSelector that only matches the elements
+   * of this selector that pass the `test` function.
+   */
+  refine(description, test) {
+    const selector = this.derive(this.selector, this.root, this.pageObject);
+    selector.filters = [...this.filters, { description, test }];
+    return selector;
+  }
+
+  /*
+   * Get a new PageSelector that only matches the elements whose
+   * text content contains the given string or matches the given RegExp.
+   *
+   * Example:
+   * page.row.withText('Acme').click();
+   * page.row.withText(/acme/i).click();
+   */
+  withText(text) {
+    return this.refine(
+      `withText(${valueToString(text)})`,
+      (element) => hasText(element, text)
+    );
+  }
+
+  /*
+   * Get a new PageSelector that only matches the elements with the
+   * given attribute. If `value` is given, the attribute must also
+   * equal that string or match that RegExp.
+   *
+   * Example:
+   * page.tab.withAttribute('aria-selected', 'true').text;
+   */
+  withAttribute(name, value) {
+    const description = value === undefined
+      ? `withAttribute(${valueToString(name)})`
+      : `withAttribute(${valueToString(name)}, ${valueToString(value)})`;
+    return this.refine(
+      description,
+      (element) => hasAttribute(element, name, value)
+    );
+  }
+
+  /*
+   * Get a new PageSelector that only matches the elements containing
+   * an element that matches `selector`. `selector` can be a CSS selector,
+   * a query descriptor or another PageSelector.
+   *
+   * Example:
+   * page.row.containing(page.cell.withText('Acme')).click();
+   * page.row.containing({role: 'button', name: 'Edit'}).count;
+   */
+  containing(selector) {
+    if (selector instanceof PageSelector) {
+      return this.refine(
+        `containing(${selector.description})`,
+        (element) => Array.from(selector.allElements)
+          .some((child) => child !== element && element.contains(child))
+      );
+    }
+    return this.refine(
+      `containing(${selectorToString(selector)})`,
+      (element) => queryAll(element, selector).length > 0
+    );
+  }
+
+  /*
+   * Get a new PageSelector that excludes the elements matching `selector`.
+   * `selector` can be a CSS selector, a query descriptor or another PageSelector.
+   *
+   * Example:
+   * page.item.not('.disabled').count;
+   * page.row.not(page.row.withText('Acme')).count;
+   */
+  not(selector) {
+    if (selector instanceof PageSelector) {
+      return this.refine(
+        `not(${selector.description})`,
+        (element) => !Array.from(selector.allElements).includes(element)
+      );
+    }
+    return this.refine(
+      `not(${selectorToString(selector)})`,
+      (element) => !matchesSelector(element, selector, this.root)
+    );
+  }
+
+  /*
+   * @private
+   * Get a new PageSelector matching the elements returned by calling
+   * `traverse` with each element of this selector. `traverse` should
+   * return a list of the related elements for the element it is given.
+   */
+  traverse(description, traverse) {
+    const source = this;
+    const selector = () => Array.from(source.allElements)
+      .reduce((elements, element) => elements.concat(traverse(element)), [])
+      .filter((element, index, list) => element && list.indexOf(element) === index);
+    selector.toString = () => `${source.description}.${description}`;
+    return this.derive(selector, this.root);
+  }
+
+  /*
+   * Get a PageSelector for the parent element of the
+   * elements matching this selector.
+   *
+   * Example:
+   * page.cell.withText('Acme').parent.click();
+   */
+  get parent() {
+    return this.traverse('parent', (element) => [element.parentElement]);
+  }
+
+  /*
+   * Get a PageSelector for the closest ancestor (or self) of the elements
+   * matching this selector that matches the given CSS selector
+   * or query descriptor.
+   *
+   * Example:
+   * page.title.withText('Revenue').closest('[data-test=card]').hasClass('active');
+   */
+  closest(selector) {
+    return this.traverse(`closest(${selectorToString(selector)})`, (element) => {
+      if (isCSSSelector(selector)) {
+        return [element.closest(selector)];
+      }
+
+      const matches = Array.from(queryAll(element.ownerDocument.documentElement, selector));
+      let ancestor = element;
+      while (ancestor && !matches.includes(ancestor)) {
+        ancestor = ancestor.parentElement;
+      }
+      return [ancestor];
+    });
+  }
+
+  /*
+   * Get a PageSelector for the child elements of the
+   * elements matching this selector.
+   *
+   * Example:
+   * expect(page.list.children.count).toEqual(3);
+   */
+  get children() {
+    return this.traverse('children', (element) => Array.from(element.children));
+  }
+
+  /*
+   * Get a PageSelector for the element immediately following
+   * each of the elements matching this selector.
+   */
+  get nextSibling() {
+    return this.traverse('nextSibling', (element) => [element.nextElementSibling]);
+  }
+
+  /*
+   * Get a PageSelector for the element immediately preceding
+   * each of the elements matching this selector.
+   */
+  get previousSibling() {
+    return this.traverse('previousSibling', (element) => [element.previousElementSibling]);
+  }
+
+  /*
+   * Get a PageSelector for the other children of the parent
+   * of each element matching this selector.
+   */
+  get siblings() {
+    return this.traverse('siblings', (element) => element.parentElement
+      ? Array.from(element.parentElement.children).filter((child) => child !== element)
+      : []
+    );
   }
 
   /*
@@ -99,7 +542,7 @@ export default class PageSelector {
    * Determine if this proxy has a representation in the DOM.
    */
   get exists() {
-    return !!this.element;
+    return this.allElements.length > 0;
   }
 
   /*
@@ -136,11 +579,17 @@ export default class PageSelector {
     return false;
   }
 
+  /*
+   * Get the value of a specific element. Checkboxes return
+   * their checked state, other form controls return their `value`
+   * and any other element returns its trimmed text content.
+   */
   getValueForElement(element) {
     if (element) {
       const tag = element.tagName;
-      // TODO For checkboxes (and radio buttons?) this need to return 'checked' not value
-      if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
+      if (isInputOfType(element, 'checkbox')) {
+        return element.checked;
+      } else if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
         return element.value;
       } else {
         return element.textContent.trim();
@@ -171,13 +620,53 @@ export default class PageSelector {
     if (el.checked !== value) this.clickElement(el);
   }
 
+  /*
+   * @private
+   * Get the elements matching this selector if they are
+   * all INPUT elements of the given `type` (ex. a radio group).
+   */
+  getInputGroup(type) {
+    const elements = Array.from(this.allElements);
+    return elements.length > 0 && elements.every((e) => isInputOfType(e, type))
+      ? elements
+      : null;
+  }
+
+  /*
+   * @private
+   * Find the input in `group` whose value or label text matches `value`.
+   */
+  findGroupInput(group, value) {
+    const input = group.find((e) => e.value === String(value)) ||
+      group.find((e) => Array.from(e.labels || [])
+        .some((label) => label.textContent.replace(/\s+/g, ' ').trim() === String(value)));
+
+    if (!input) {
+      const available = group.map((e) => valueToString(e.value)).join(', ');
+      this.fail(
+        'missing',
+        `Could not find an input with the value ${valueToString(value)} ` +
+        `in ${this.description}. Available values are: ${available}.`
+      );
+    }
+    return input;
+  }
+
   /*
    * Get the text value or input value of this selector.
    * If the target element is an INPUT, then this returns
    * the `value` property of that INPUT. Otherwise, it
-   * returns the trimmed text content.
+   * returns the trimmed text content. Checkboxes return
+   * their checked state and a selector matching a group of
+   * radio inputs returns the value of the checked radio
+   * (or `null` if none are checked).
    */
   get value() {
+    const radios = this.getInputGroup('radio');
+    if (radios) {
+      const checked = radios.find((radio) => radio.checked);
+      return checked ? checked.value : null;
+    }
     return this.getValueForElement(this.element);
   }
 
@@ -185,24 +674,198 @@ export default class PageSelector {
    * Set the value of this selector if it points to
    * an INPUT element. If the selector points to something
    * other than an INPUT, then this setter has no effect.
+   * Setting the value of a radio group clicks the radio
+   * with that value (or label).
    */
   set value(value) {
+    const radios = this.getInputGroup('radio');
+    if (radios) {
+      const radio = this.findGroupInput(radios, value);
+      if (radio && !radio.checked) this.clickElement(radio);
+      return;
+    }
+
     const el = this.element;
     if (el) {
       const tag = el.tagName;
       if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
         if (el.type === 'checkbox') {
           this.checked = value;
+        } else if (tag === 'SELECT' && (Array.isArray(value) || matchOption(el, value))) {
+          this.selectOptions([].concat(value));
         } else {
+          // Like a browser, setting a SELECT to a value without
+          // an option clears its selection (and emits `change`).
           fireEvent.change(el, { target: { value: String(value) } });
         }
         return;
       } else {
-        console.error(`Cannot set the value of a non-input element. Tried to set ${this.selector} to ${value}.`);
+        this.fail('missing', `Cannot set the value of a non-input element. Tried to set ${this.description} to ${value}.`);
         return;
       }
     }
-    console.error(`${this.selector} does not exist and thus cannot be set to ${value}.`);
+    this.fail('missing', `${this.description} does not exist and thus cannot be set to ${value}.`);
+  }
+
+  /*
+   * Get the options of the SELECT element matching this selector as
+   * a list of objects like `{label, value, selected, disabled}`.
+   */
+  get options() {
+    const el = this.element;
+    if (!el || el.tagName !== 'SELECT') {
+      return [];
+    }
+    return Array.from(el.options).map((option) => ({
+      label: getOptionLabel(option),
+      value: option.value,
+      selected: option.selected,
+      disabled: option.disabled,
+    }));
+  }
+
+  /*
+   * Get the selected options of the SELECT element matching
+   * this selector as a list of objects like `{label, value}`.
+   */
+  get selectedOptions() {
+    return this.options
+      .filter((option) => option.selected)
+      .map(({ label, value }) => ({ label, value }));
+  }
+
+  /*
+   * Select an option of the SELECT element matching this selector by
+   * its value or visible label. In a `multiple` select, the option is
+   * added to the current selection. Emits `input` and `change` events
+   * if the selection changed.
+   *
+   * Example:
+   * page.country.selectOption('Canada');
+   * page.country.selectOption('ca');
+   * page.country.selectOption(/united/i);
+   *
+   * @param {string|RegExp} labelOrValue
+   */
+  selectOption(labelOrValue) {
+    const el = this.getSelectElement('select an option');
+    if (el) {
+      const option = this.findOption(el, labelOrValue);
+      if (option) {
+        const changed = el.multiple
+          ? !option.selected
+          : el.selectedOptions[0] !== option;
+        option.selected = true;
+        if (changed) this.emitSelectChange(el);
+      }
+    }
+  }
+
+  /*
+   * Select exactly the given options (by value or label) of the `multiple`
+   * SELECT element matching this selector, deselecting any others.
+   * Emits `input` and `change` events if the selection changed.
+   *
+   * Example:
+   * page.tags.selectOptions(['Red', 'Blue']);
+   *
+   * @param {Array<string|RegExp>} labelsOrValues
+   */
+  selectOptions(labelsOrValues) {
+    const el = this.getSelectElement('select options');
+    if (!el) {
+      return;
+    } else if (!el.multiple && labelsOrValues.length > 1) {
+      this.fail('missing', `Cannot select multiple options in ${this.description} because it is not a multiple select.`);
+      return;
+    }
+
+    const options = labelsOrValues.map((option) => this.findOption(el, option));
+    if (options.includes(null)) {
+      return;
+    }
+
+    const previous = Array.from(el.selectedOptions);
+    Array.from(el.options).forEach((option) => {
+      option.selected = options.includes(option);
+    });
+    const current = Array.from(el.selectedOptions);
+    const changed = previous.length !== current.length ||
+      previous.some((option) => !current.includes(option));
+    if (changed) this.emitSelectChange(el);
+  }
+
+  /*
+   * Deselect an option (by value or label) of the `multiple` SELECT
+   * element matching this selector. Emits `input` and `change` events
+   * if the option was selected.
+   *
+   * @param {string|RegExp} labelOrValue
+   */
+  deselectOption(labelOrValue) {
+    const el = this.getSelectElement('deselect an option');
+    if (!el) {
+      return;
+    } else if (!el.multiple) {
+      this.fail('missing', `Cannot deselect an option in ${this.description} because it is not a multiple select.`);
+      return;
+    }
+
+    const option = this.findOption(el, labelOrValue);
+    if (option && option.selected) {
+      option.selected = false;
+      this.emitSelectChange(el);
+    }
+  }
+
+  /*
+   * @private
+   * Get the SELECT element matching this selector or
+   * fail if it doesn't exist or isn't a SELECT.
+   */
+  getSelectElement(action) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot ${action}.`);
+    } else if (el.tagName !== 'SELECT') {
+      this.fail('missing', `Cannot ${action} in ${this.description} because it is not a select element.`);
+    } else {
+      return el;
+    }
+    return null;
+  }
+
+  /*
+   * @private
+   * Find the enabled option of `select` whose value or label matches
+   * `labelOrValue`. Values are preferred over labels.
+   */
+  findOption(select, labelOrValue) {
+    const option = matchOption(select, labelOrValue);
+    if (!option) {
+      const available = Array.from(select.options)
+        .map((o) => `"${getOptionLabel(o)}" (${valueToString(o.value)})`)
+        .join(', ');
+      this.fail(
+        'missing',
+        `Could not find an option matching ${valueToString(labelOrValue)} ` +
+        `in ${this.description}. Available options are: ${available || 'none'}.`
+      );
+      return null;
+    } else if (option.disabled) {
+      this.fail('missing', `Cannot select the disabled option ${valueToString(labelOrValue)} in ${this.description}.`);
+      return null;
+    }
+    return option;
+  }
+
+  /*
+   * @private
+   * Emit the events a browser emits when the selection of a SELECT changes.
+   */
+  emitSelectChange(select) {
+    fireEvent.input(select);
+    fireEvent.change(select);
   }
 
   /*
@@ -214,9 +877,24 @@ export default class PageSelector {
 
   /*
    * Get the value/textContent of all direct children.
+   * If this selector matches a group of checkboxes, this
+   * returns the values of the checked checkboxes. If this
+   * selector matches a FORM, this returns the form data as
+   * an object (see `getFormValues`).
    */
   get values() {
     const elements = this.allElements;
+    if (elements.length === 1 && elements[0].tagName === 'FORM') {
+      return getFormValues(elements[0]);
+    }
+
+    const checkboxes = this.getInputGroup('checkbox');
+    if (checkboxes) {
+      return checkboxes
+        .filter((checkbox) => checkbox.checked)
+        .map((checkbox) => checkbox.value);
+    }
+
     if (elements && elements.length > 0) {
       return Array.from(elements).map((e) => this.getValueForElement(e));
     } else {
@@ -224,11 +902,113 @@ export default class PageSelector {
     }
   }
 
+  /*
+   * Check exactly the checkboxes (matched by value or label)
+   * in the group of checkboxes matching this selector by
+   * clicking the checkboxes whose state needs to change.
+   *
+   * Setting the values of a FORM fills the form (see `fill`).
+   *
+   * Example:
+   * page.toppings.values = ['cheese', 'olives'];
+   */
+  set values(values) {
+    const el = this.allElements[0];
+    if (el && el.tagName === 'FORM') {
+      this.fill(values);
+      return;
+    }
+
+    const checkboxes = this.getInputGroup('checkbox');
+    if (!checkboxes) {
+      this.fail('missing', `Cannot set the values of ${this.description} because it is not a group of checkboxes.`);
+      return;
+    }
+
+    const checked = values.map((value) => this.findGroupInput(checkboxes, value));
+    if (checked.includes(undefined)) {
+      return;
+    }
+    checkboxes.forEach((checkbox) => {
+      if (checkbox.checked !== checked.includes(checkbox)) {
+        this.clickElement(checkbox);
+      }
+    });
+  }
+
+  /*
+   * Get a PageSelector for the form controls inside of the element
+   * matching this selector identified by `name`. Controls are found by
+   * their `name` attribute, `id`, label text or, if none of those match,
+   * the selector with that name on this selector's PageObject.
+   *
+   * Example:
+   * page.form.field('email').value = 'foo@bar.com';
+   *
+   * @param {string} name
+   * @return {PageSelector}
+   */
+  field(name) {
+    const page = this.page;
+    return this.traverse(`field(${valueToString(name)})`, (root) => {
+      const controls = queryAllFormControls(root, name);
+      if (controls.length === 0 && page && page.allSelectors &&
+        Object.prototype.hasOwnProperty.call(page.allSelectors, name)
+      ) {
+        return Array.from(page[name].allElements);
+      }
+      return controls;
+    });
+  }
+
+  /*
+   * Fill in the form controls inside of the element matching this selector.
+   * Each key of `values` identifies a control (see `field`) which is set
+   * the same way as setting its `value`: text inputs are changed, checkboxes
+   * are checked/unchecked, radio groups check the radio with that value and
+   * selects select the option with that value or label. Arrays set the
+   * values of checkbox groups and `multiple` selects.
+   *
+   * Example:
+   * page.form.fill({ email: 'a@b.c', plan: 'pro', terms: true });
+   *
+   * @param {object} values - The values to fill in keyed by field.
+   */
+  fill(values) {
+    const root = this.element;
+    if (!root) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be filled.`);
+      return;
+    }
+
+    Object.keys(values).forEach((name) => {
+      const field = this.field(name);
+      const value = values[name];
+      if (!field.exists) {
+        const available = getFormControls(root)
+          .map((control) => control.name || control.id)
+          .filter((id, index, list) => id && list.indexOf(id) === index)
+          .map((id) => `"${id}"`)
+          .join(', ');
+        this.fail(
+          'missing',
+          `Could not find a field named "${name}" in ${this.description}. ` +
+          `Available fields are: ${available || 'none'}.`
+        );
+      } else if (Array.isArray(value) && field.getInputGroup('checkbox')) {
+        field.values = value;
+      } else {
+        field.value = value;
+      }
+    });
+  }
+
   /*
    * Determine if the current element has focus.
    */
   get focused() {
-    return document.activeElement === this.element;
+    const el = this.element;
+    return !!el && el.ownerDocument.activeElement === el;
   }
 
   /*
@@ -261,67 +1041,217 @@ export default class PageSelector {
 
   /*
    * @private
-   * Click on a specific element.
-   */
-  clickElement(el) {
-    // TODO Also simulate mouse up/down events.
-    switch (el.tagName) {
-      case 'INPUT':
-        if (el.type === 'checkbox' || el.type === 'radio') {
-          return this.simulateAction('click', el);
-        }
-        else if (el.type !== 'submit') {
-          return this.simulateAction('focus', el);
-        } else {
-          return this.simulateAction('submit', el);
-        }
-      case 'BUTTON':
-        if (el.type === 'submit') {
-          return this.simulateAction('click', el);
-        } else {
-          return this.simulateAction('click', el);
-        }
-      default:
-        return this.simulateAction('click', el);
+   * Click on a specific element (see `click`).
+   */
+  clickElement(el, options) {
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be clicked.`);
+      return false;
     }
+    return click(el, options);
   }
 
   [ 'await' ](timeout) {
     const selector = this;
     return waitForMe(() => {
-      if (!selector.element) {
-        const message = `await timed out waiting for ${selector.selector}`;
-        throw new Error(`${message}\n${prettyDOM(selector.root)}`);
+      if (!selector.exists) {
+        const message = `await timed out waiting for ${selector.description}`;
+        throw new Error(`${message}\n${prettyDOM(selector.root)}\n${selector.suggestions()}`);
       }
-    }, timeout);
+    }, getTimeout(this.page, timeout), getOption(this.page, 'pollInterval'));
   }
 
   awaitRemoval(timeout) {
-    return waitForElementToBeRemoved(() => this.element, {
-      onTimeout: error => `${error.message}\n${prettyDOM(selector.root)}`,
-      timeout,
+    return waitForElementToBeRemoved(() => this.allElements[0] || null, {
+      onTimeout: error => `${error.message}\n${prettyDOM(this.root)}`,
+      timeout: getTimeout(this.page, timeout),
+      interval: getOption(this.page, 'pollInterval'),
     });
   }
 
   /*
-   * Click on the first element that matches this selector.
+   * Click on the first element that matches this selector. This dispatches
+   * the same sequence of events as a browser: pointerover/enter,
+   * mouseover/enter, pointerdown, mousedown, focus change, pointerup,
+   * mouseup and click. Pass `ctrlKey`, `shiftKey`, `altKey` or `metaKey`
+   * to hold modifier keys during the click.
+   *
+   * Example:
+   * page.row.click({ shiftKey: true });
+   *
+   * @param {object} [options] - The modifier keys to hold.
+   * @return {boolean} `false` if the click event was cancelled.
    */
-  click() {
+  click(options) {
     const el = this.element;
-    return this.clickElement(el);
+    return this.clickElement(el, options);
   }
 
   /*
    * Perform a click action on the Nth item that matches
    * the current selector.
    */
-  clickNth(index) {
+  clickNth(index, options) {
     const elements = this.allElements;
     if (elements.length <= index) {
-      console.error(`${this.selector} index ${index} does not exist and thus cannot be clicked.`);
+      this.fail('missing', `${this.description} index ${index} does not exist and thus cannot be clicked.`);
     } else {
-      return this.clickElement(elements[index]);
+      return this.clickElement(elements[index], options);
+    }
+  }
+
+  /*
+   * Move the mouse over the first element that matches this selector.
+   * This dispatches `pointerover`, `pointerenter`, `mouseover` and
+   * `mouseenter` (plus the out/leave events for the element the mouse
+   * was previously over) followed by `pointermove` and `mousemove`.
+   *
+   * Example:
+   * page.menuButton.hover();
+   * expect(page.menu.visible).toBe(true);
+   *
+   * @param {object} [options] - Event init options (ex. `shiftKey`).
+   */
+  hover(options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be hovered.`);
+      return;
+    }
+    hover(el, options);
+  }
+
+  /*
+   * Move the mouse off of the first element that matches this selector,
+   * dispatching `pointerout`, `pointerleave`, `mouseout` and `mouseleave`.
+   * This does nothing if the mouse isn't over the element.
+   *
+   * @param {object} [options] - Event init options.
+   */
+  unhover(options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be unhovered.`);
+      return;
+    }
+    unhover(el, options);
+  }
+
+  /*
+   * Move the mouse to the point `x`, `y` (in pixels) relative to the
+   * top left corner of the first element that matches this selector.
+   * This hovers the element (see `hover`) with the `clientX`/`clientY`
+   * of that point so it can be used for sliders, canvases, etc.
+   *
+   * Example:
+   * page.slider.moveMouse(50, 5);
+   *
+   * @param {number} x
+   * @param {number} y
+   * @param {object} [options] - Event init options.
+   */
+  moveMouse(x, y, options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be hovered.`);
+      return;
+    }
+    const rect = el.getBoundingClientRect();
+    hover(el, {
+      ...options,
+      clientX: rect.left + x,
+      clientY: rect.top + y,
+    });
+  }
+
+  /*
+   * Tap the center of the first element that matches this selector with
+   * one finger. This dispatches `pointerdown`/`pointerup` (with
+   * `pointerType: 'touch'`), `touchstart`, `touchend` and, unless the
+   * touch events are cancelled, `mousedown`, `mouseup` and `click`.
+   *
+   * @param {object} [options] - Event init options.
+   * @return {boolean} `false` if the tap didn't result in a click.
+   */
+  tap(options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be tapped.`);
+      return false;
+    }
+    return tap(el, options);
+  }
+
+  /*
+   * Touch and hold the first element that matches this selector
+   * for `duration` ms (500 by default). A `contextmenu` event is
+   * dispatched before the finger is lifted.
+   *
+   * Example:
+   * await page.photo.longPress(800);
+   *
+   * @param {number} [duration]
+   * @param {object} [options] - Event init options.
+   * @return {Promise} Resolves once the finger is lifted.
+   */
+  longPress(duration, options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be pressed.`);
+      return Promise.resolve();
+    }
+    return longPress(el, duration, options);
+  }
+
+  /*
+   * Swipe one finger `distance` pixels (100 by default) from the
+   * center of the first element that matches this selector in
+   * `direction` (`left`, `right`, `up` or `down`). The finger moves in
+   * `options.steps` interpolated `touchmove`s over `options.duration` ms.
+   *
+   * Example:
+   * page.carousel.swipe('left', 200);
+   * await page.carousel.swipe('left', 200, { steps: 5, duration: 100 });
+   *
+   * @param {string} direction
+   * @param {number} [distance]
+   * @param {object} [options]
+   * @param {number} [options.steps] - The number of moves (10 by default).
+   * @param {number} [options.duration] - How long the swipe takes in ms.
+   * @return {Promise} Resolves once the finger is lifted.
+   */
+  swipe(direction, distance, options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be swiped.`);
+      return Promise.resolve();
     }
+    return swipe(el, direction, distance, options);
+  }
+
+  /*
+   * Pinch the first element that matches this selector with two fingers
+   * that start `options.distance` pixels apart (100 by default) and end
+   * `distance * scale` apart. Use a `scale` above 1 to zoom in and
+   * below 1 to zoom out.
+   *
+   * Example:
+   * page.map.pinch(2);
+   *
+   * @param {number} scale
+   * @param {object} [options]
+   * @param {number} [options.distance] - The starting distance between the fingers.
+   * @param {number} [options.steps] - The number of moves (10 by default).
+   * @param {number} [options.duration] - How long the pinch takes in ms.
+   * @return {Promise} Resolves once the fingers are lifted.
+   */
+  pinch(scale, options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be pinched.`);
+      return Promise.resolve();
+    }
+    return pinch(el, scale, options);
   }
 
   /*
@@ -335,8 +1265,38 @@ export default class PageSelector {
    * Press the enter key while the current element is focused.
    */
   pressEnter() {
-   fireEvent.keyDown(this.element, {keyCode: 13});
-   fireEvent.keyUp(this.element, {keyCode: 13});
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot receive key presses.`);
+      return;
+    }
+    pressKey(el, parseKeys('{enter}')[0]);
+  }
+
+  /*
+   * Type `text` into the element matching this selector one key at a
+   * time. Each key dispatches `keydown`, `keypress`, `beforeinput`,
+   * `input` and `keyup` events and updates the value and caret position.
+   * Special keys can be typed with tokens like `{enter}`, `{backspace}`,
+   * `{delete}`, `{arrowleft}`, `{home}`, `{selectall}` and chords like
+   * `{ctrl+a}`. Use `{{` to type a literal `{`.
+   *
+   * Example:
+   * await page.search.type('pizza{enter}');
+   * await page.search.type('{selectall}{backspace}tacos', { delay: 50 });
+   *
+   * @param {string} text
+   * @param {object} [options]
+   * @param {number} [options.delay] - Milliseconds to wait between keys.
+   * @return {Promise} Resolves once all keys have been typed.
+   */
+  type(text, options) {
+    const el = this.element;
+    if (!el) {
+      this.fail('missing', `${this.description} does not exist and thus cannot be typed into.`);
+      return Promise.resolve();
+    }
+    return type(el, text, options);
   }
 
   /*
@@ -346,16 +1306,49 @@ export default class PageSelector {
     return this.element.getAttribute(name);
   }
 
-  /**
-   * Get the label element with the display text matching the text passed.
+  /*
+   * Get a PageSelector for the form control labeled with the given
+   * text inside of the element matching this selector. Controls can be
+   * labeled using `<label for>`, a wrapping `<label>`, `aria-labelledby`
+   * or `aria-label`. Throws an error listing the available labels if
+   * no control matches.
+   *
+   * Example:
+   * page.form.labeled('Email').value = 'foo@bar.com';
+   * page.form.labeled(/password/i).value = 'secret';
+   *
+   * @param {string|RegExp} text - The label text to match.
+   * @return {PageSelector}
    */
   labeled(text) {
-    // TODO Get this working.
-    return this.element;
+    const root = this.element;
+    const label = valueToString(text);
+    if (!root) {
+      throw new Error(
+        `${this.description} does not exist and thus ` +
+        `cannot contain a control labeled ${label}.`
+      );
+    }
+
+    const control = this.derive({ label: text }, root);
+    if (!control.exists) {
+      const labels = getAvailableLabels(root)
+        .map((label) => `"${label}"`)
+        .join(', ');
+      throw new Error(
+        `Could not find a control labeled ${label} ` +
+        `inside of ${this.description}. ` +
+        `Available labels are: ${labels || 'none'}.`
+      );
+    }
+    return control;
   }
 
   get visible() {
-    const style = window.getComputedStyle(this.element);
+    if (!this.exists) {
+      return false;
+    }
+    const style = getWindow(this.element).getComputedStyle(this.element);
 
     // TODO opacity > 0 or not set, visiblility === 'visible' or not set
     return this.exists && style.display !== 'none';
@@ -0,0 +1,104 @@
+/*
+ * The default global configuration.
+ */
+const defaults = {
+  // Throw an error when a selector doesn't match exactly the elements
+  // expected. Can be `true` (throw if nothing matches) or an object
+  // like `{missing: true, ambiguous: true}` to also throw if more
+  // than one element matches.
+  strict: false,
+  // The attribute used to find elements for property names that aren't
+  // defined in `selectors`. When `null`, `PageObject` uses `data-test`
+  // and `PageO` uses `data-testid`.
+  testIdAttribute: null,
+  // The time in milliseconds to wait in `await()` style methods.
+  defaultTimeout: 1000,
+  // The time in milliseconds between checks in `await()` style methods.
+  pollInterval: 60,
+  // Log a warning when a selector name conflicts with a PageObject property.
+  warnOnConflicts: true,
+  // The time in milliseconds between the drag events (`dragenter`,
+  // `dragover`) and the `drop` of the drop methods (ex. `dropFiles`).
+  // With 0 the drop happens on the next tick and with `false` it
+  // happens without waiting for a timer (ex. with fake timers).
+  dropDelay: 0,
+  // The time in milliseconds the drop methods wait after the drop
+  // before resolving (and calling their `done` callback). Also
+  // accepts `false` to skip the timer.
+  settleDelay: 60,
+  // The ids of the elements created by `PageObject.render()`.
+  sandboxIds: {
+    root: 'sandbox-root',
+    app: 'sandbox-app',
+    styles: 'sandbox-styles',
+  },
+};
+
+const config = { ...defaults };
+
+/*
+ * The names of the options that can be configured.
+ */
+export const OPTIONS = Object.keys(defaults);
+
+/*
+ * Change the global configuration used by every PageObject.
+ * Individual PageObjects can override these options by setting
+ * a property with the same name.
+ *
+ * Example:
+ * PageObject.configure({ strict: true, testIdAttribute: 'data-qa' });
+ *
+ * @param {object} options - The options to change.
+ * @return {object} The new configuration.
+ */
+export function configure(options) {
+  const unknown = Object.keys(options).filter((name) => !OPTIONS.includes(name));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown configuration option(s) ${unknown.map((name) => `"${name}"`).join(', ')}. ` +
+      `Available options are: ${OPTIONS.join(', ')}.`
+    );
+  }
+
+  if (options.sandboxIds) {
+    options = {
+      ...options,
+      sandboxIds: { ...config.sandboxIds, ...options.sandboxIds },
+    };
+  }
+  return Object.assign(config, options);
+}
+
+/*
+ * Restore the default global configuration.
+ */
+export function resetConfiguration() {
+  return Object.assign(config, defaults);
+}
+
+/*
+ * Get a configuration option, preferring the value
+ * set on the given PageObject over the global value.
+ *
+ * @param {PageObject} [page] - The PageObject that may override the option.
+ * @param {string} name - The name of the option.
+ */
+export function getOption(page, name) {
+  const value = page ? page[name] : undefined;
+  return value === undefined || value === null ? config[name] : value;
+}
+
+/*
+ * Get the timeout to use when waiting for something,
+ * falling back to the configured `defaultTimeout`.
+ *
+ * @param {PageObject} [page] - The PageObject that may override the timeout.
+ * @param {number} [timeout] - A timeout passed by the caller.
+ * @return {number}
+ */
+export function getTimeout(page, timeout) {
+  return timeout === undefined || timeout === null
+    ? getOption(page, 'defaultTimeout')
+    : timeout;
+}
@@ -0,0 +1,314 @@
+import { getWindow } from './util';
+
+/*
+ * The values `dropEffect` can be set to.
+ */
+const DROP_EFFECTS = ['none', 'copy', 'link', 'move'];
+
+/*
+ * The values `effectAllowed` can be set to.
+ */
+const EFFECTS_ALLOWED = [
+  'none', 'copy', 'copyLink', 'copyMove', 'link',
+  'linkMove', 'move', 'all', 'uninitialized',
+];
+
+/*
+ * Normalize a data format the way `DataTransfer.getData()` does:
+ * formats are lowercase and `text`/`url` are aliases.
+ */
+function normalizeFormat(format) {
+  const type = String(format).toLowerCase();
+  return type === 'text' ? 'text/plain' : type === 'url' ? 'text/uri-list' : type;
+}
+
+/*
+ * Create an array that can be used like a `FileList`.
+ */
+function createFileList(files) {
+  const list = files.slice();
+  list.item = (index) => list[index] || null;
+  return list;
+}
+
+/*
+ * An item of a `DataTransferPolyfill`: either a string of a
+ * specific type or a file.
+ */
+class DataTransferItemPolyfill {
+  constructor(kind, type, data) {
+    this.kind = kind;
+    this.type = type;
+    this.data = data;
+  }
+
+  /*
+   * Call `callback` with the data of a string item. Like a browser,
+   * the callback is called asynchronously.
+   */
+  getAsString(callback) {
+    if (this.kind === 'string' && typeof(callback) === 'function') {
+      Promise.resolve().then(() => callback(this.data));
+    }
+  }
+
+  getAsFile() {
+    return this.kind === 'file' ? this.data : null;
+  }
+}
+
+/*
+ * The `items` of a `DataTransferPolyfill`.
+ */
+class DataTransferItemListPolyfill {
+  constructor() {
+    this.list = [];
+  }
+
+  get length() {
+    return this.list.length;
+  }
+
+  /*
+   * Add a string of the given type or a `File`. There can
+   * only be one string item of each type.
+   *
+   * @param {string|File} data
+   * @param {string} [type] - The type of a string item.
+   * @return {DataTransferItem}
+   */
+  add(data, type) {
+    let item;
+    if (typeof(data) === 'string') {
+      const format = String(type).toLowerCase();
+      if (this.list.some((existing) => existing.kind === 'string' && existing.type === format)) {
+        throw new Error(
+          `Failed to execute 'add' on 'DataTransferItemList': ` +
+          `An item already exists for type '${format}'.`
+        );
+      }
+      item = new DataTransferItemPolyfill('string', format, data);
+    } else {
+      item = new DataTransferItemPolyfill('file', data.type || '', data);
+    }
+    this.list.push(item);
+    this.sync();
+    return item;
+  }
+
+  remove(index) {
+    this.list.splice(index, 1);
+    this.sync();
+  }
+
+  clear() {
+    this.list = [];
+    this.sync();
+  }
+
+  [Symbol.iterator]() {
+    return this.list[Symbol.iterator]();
+  }
+
+  /*
+   * @private
+   * Expose the items by index (ex. `items[0]`) like a browser.
+   */
+  sync() {
+    Object.keys(this).filter((key) => /^\d+$/.test(key)).forEach((key) => delete this[key]);
+    this.list.forEach((item, index) => {
+      this[index] = item;
+    });
+  }
+}
+
+/*
+ * An implementation of `DataTransfer` for environments like jsdom that
+ * don't have one. It supports strings of any type and files along with
+ * `dropEffect`, `effectAllowed`, `types`, `files`, `getData()`,
+ * `setData()` and `clearData()` like the browser implementation.
+ */
+export class DataTransferPolyfill {
+  constructor() {
+    this.items = new DataTransferItemListPolyfill();
+    this.currentDropEffect = 'none';
+    this.currentEffectAllowed = 'uninitialized';
+  }
+
+  get dropEffect() {
+    return this.currentDropEffect;
+  }
+
+  // Like a browser, invalid values are ignored.
+  set dropEffect(value) {
+    if (DROP_EFFECTS.includes(value)) {
+      this.currentDropEffect = value;
+    }
+  }
+
+  get effectAllowed() {
+    return this.currentEffectAllowed;
+  }
+
+  set effectAllowed(value) {
+    if (EFFECTS_ALLOWED.includes(value)) {
+      this.currentEffectAllowed = value;
+    }
+  }
+
+  /*
+   * The types of the string items followed by `Files` if there are any files.
+   */
+  get types() {
+    const types = Array.from(this.items)
+      .filter((item) => item.kind === 'string')
+      .map((item) => item.type);
+    return this.files.length ? types.concat('Files') : types;
+  }
+
+  get files() {
+    return createFileList(
+      Array.from(this.items)
+        .filter((item) => item.kind === 'file')
+        .map((item) => item.getAsFile())
+    );
+  }
+
+  /*
+   * Get the string data of the given format. `text` is an alias for
+   * `text/plain` and `url` gets the first URL of `text/uri-list`.
+   */
+  getData(format) {
+    const type = normalizeFormat(format);
+    const item = Array.from(this.items)
+      .find((existing) => existing.kind === 'string' && existing.type === type);
+    if (!item) {
+      return '';
+    }
+    if (String(format).toLowerCase() === 'url') {
+      return item.data
+        .split(/\r?\n/)
+        .find((line) => line && !line.startsWith('#')) || '';
+    }
+    return item.data;
+  }
+
+  setData(format, data) {
+    this.clearData(format);
+    this.items.add(String(data), normalizeFormat(format));
+  }
+
+  /*
+   * Remove the string data of the given format
+   * or all string data if no format is given.
+   */
+  clearData(format) {
+    const type = format === undefined ? null : normalizeFormat(format);
+    const list = Array.from(this.items);
+    for (let index = list.length - 1; index >= 0; index--) {
+      const item = list[index];
+      if (item.kind === 'string' && (type === null || item.type === type)) {
+        this.items.remove(index);
+      }
+    }
+  }
+
+  setDragImage() {}
+}
+
+/*
+ * Convert a list of URLs to a `text/uri-list` string.
+ * Lines starting with `#` are comments and are removed.
+ */
+function toURIList(urls) {
+  return Array.isArray(urls)
+    ? urls.filter((url) => !url.startsWith('#')).join('\n')
+    : urls;
+}
+
+/*
+ * Create a `DataTransfer` containing each of the formats in `data`. The
+ * native `DataTransfer` of the element's window is used when there
+ * is one, otherwise `DataTransferPolyfill` is used.
+ *
+ * Example:
+ * createDataTransfer(element, {
+ *   'text/plain': 'Hello',
+ *   'text/html': '<b>Hello</b>',
+ *   'text/uri-list': ['https://example.com'],
+ *   files: [file],
+ * }, { effectAllowed: 'copy' });
+ *
+ * @param {HTMLElement|Document} element - The element the DataTransfer is for.
+ * @param {object} data - The data of each MIME type and the `files`.
+ * @param {object} [options]
+ * @param {string} [options.dropEffect] - The `dropEffect` (`none` by default).
+ * @param {string} [options.effectAllowed] - The `effectAllowed`
+ *   (`uninitialized` by default).
+ * @return {DataTransfer}
+ */
+export function createDataTransfer(element, data = {}, { dropEffect, effectAllowed } = {}) {
+  const view = getWindow(element);
+  const dataTransfer = view.DataTransfer
+    ? new view.DataTransfer()
+    : new DataTransferPolyfill();
+
+  const { files, ...strings } = data;
+  Object.keys(strings).forEach((key) => {
+    const value = strings[key];
+    const type = normalizeFormat(key);
+    if (value !== undefined && value !== null) {
+      dataTransfer.items.add(
+        type === 'text/uri-list' ? toURIList(value) : String(value),
+        type
+      );
+    }
+  });
+  [].concat(files || []).forEach((file) => dataTransfer.items.add(file));
+
+  if (dropEffect) {
+    dataTransfer.dropEffect = dropEffect;
+  }
+  if (effectAllowed) {
+    dataTransfer.effectAllowed = effectAllowed;
+  }
+  return dataTransfer;
+}
+
+/*
+ * Create a drag event (ex. `dragenter`, `drop`) or a clipboard event
+ * (ex. `paste`) carrying `dataTransfer`. When the window doesn't have
+ * the native event (or `dataTransfer` is the polyfill) the event is
+ * created as a `MouseEvent`/`Event` with the `dataTransfer` or
+ * `clipboardData` property added.
+ *
+ * @param {HTMLElement|Document} element - The element that will dispatch the event.
+ * @param {string} type - The event type.
+ * @param {DataTransfer} dataTransfer
+ * @param {object} [init] - Additional event init options (ex. `clientX`).
+ * @return {Event}
+ */
+export function createDataTransferEvent(element, type, dataTransfer, init = {}) {
+  const view = getWindow(element);
+  const isClipboard = ['copy', 'cut', 'paste'].includes(type);
+  const property = isClipboard ? 'clipboardData' : 'dataTransfer';
+  const NativeEvent = isClipboard ? view.ClipboardEvent : view.DragEvent;
+  const isNative = NativeEvent && view.DataTransfer && dataTransfer instanceof view.DataTransfer;
+  const eventInit = {
+    view,
+    bubbles: true,
+    cancelable: type !== 'dragleave' && type !== 'dragend',
+    composed: true,
+    ...init,
+  };
+
+  if (isNative) {
+    return new NativeEvent(type, { ...eventInit, [property]: dataTransfer });
+  }
+
+  const event = isClipboard
+    ? new view.Event(type, eventInit)
+    : new view.MouseEvent(type, eventInit);
+  Object.defineProperty(event, property, { value: dataTransfer });
+  return event;
+}
@@ -0,0 +1,122 @@
+import { parseKeys, pressKey } from './keyboard';
+import { dispatchPointerEvent, focusFromPointer, movePointer } from './pointer';
+import { getCenter } from './util';
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/*
+ * Run each of the `actions` in order. Without a `delay` they run
+ * synchronously, otherwise the next action waits `delay` ms.
+ *
+ * @param {function[]} actions
+ * @param {number} delay
+ * @return {Promise} Resolves once every action has run.
+ */
+function runActions(actions, delay) {
+  if (!delay) {
+    actions.forEach((action) => action());
+    return Promise.resolve();
+  }
+  return actions.reduce((previous, action, index) => previous
+    .then(() => index > 0 && wait(delay))
+    .then(action), Promise.resolve());
+}
+
+/*
+ * Drag `source` to `target` with the primary mouse button the way a
+ * user does with a pointer. This dispatches `pointerdown`/`mousedown`
+ * on `source`, `steps` interpolated `pointermove`/`mousemove` events
+ * and `pointerup`/`mouseup`. The moves are dispatched on `source`
+ * except for the last one, which is dispatched on `target` after
+ * moving the pointer over it (`pointerover`, `mouseenter`, etc.).
+ *
+ * Libraries like dnd-kit and react-beautiful-dnd only start dragging
+ * once the pointer moves past a threshold so `steps` should be enough
+ * for the moves to pass it.
+ *
+ * @param {HTMLElement} source - The element to drag.
+ * @param {HTMLElement|object} target - The element to drop on or
+ *   the `{x, y}` client coordinates to drop at.
+ * @param {object} [options] - Event init options and:
+ * @param {number} [options.steps] - The number of moves (10 by default).
+ * @param {number} [options.holdMs] - How long to hold the button down
+ *   before moving in ms (for libraries with a delay before dragging).
+ * @param {number} [options.delay] - The time between moves in ms.
+ * @return {Promise} Resolves once the button is released.
+ */
+export function pointerDrag(source, target, { steps = 10, holdMs = 0, delay = 0, ...init } = {}) {
+  const doc = source.ownerDocument;
+  const targetElement = target && target.nodeType ? target : null;
+  const from = getCenter(source);
+  const to = targetElement ? getCenter(targetElement) : target;
+  const at = (point) => ({
+    ...init,
+    clientX: point.x,
+    clientY: point.y,
+    screenX: point.x,
+    screenY: point.y,
+  });
+
+  movePointer(doc, source, at(from));
+  dispatchPointerEvent(source, 'pointerdown', { ...at(from), buttons: 1 });
+  if (dispatchPointerEvent(source, 'mousedown', { ...at(from), buttons: 1, detail: 1 })) {
+    focusFromPointer(source);
+  }
+
+  let current = source;
+  const moves = [];
+  for (let step = 1; step <= steps; step++) {
+    const point = {
+      x: from.x + (to.x - from.x) * step / steps,
+      y: from.y + (to.y - from.y) * step / steps,
+    };
+    moves.push(() => {
+      if (step === steps && targetElement) {
+        current = targetElement;
+        movePointer(doc, current, { ...at(point), buttons: 1 });
+      }
+      dispatchPointerEvent(current, 'pointermove', { ...at(point), button: -1, buttons: 1 });
+      dispatchPointerEvent(current, 'mousemove', { ...at(point), buttons: 1 });
+    });
+  }
+
+  const release = () => {
+    dispatchPointerEvent(current, 'pointerup', at(to));
+    dispatchPointerEvent(current, 'mouseup', { ...at(to), detail: 1 });
+  };
+
+  if (holdMs) {
+    return wait(holdMs).then(() => runActions(moves.concat(release), delay));
+  }
+  return runActions(moves.concat(release), delay);
+}
+
+/*
+ * Drag `source` with the keyboard the way sortable libraries like
+ * dnd-kit support it: focus `source`, press the pick up key, press
+ * each of the move `keys` and press the drop key. The keys are pressed
+ * on the focused element so that the events bubble to the document.
+ *
+ * Example:
+ * keyboardDrag(card, '{arrowdown}{arrowdown}');
+ *
+ * @param {HTMLElement} source - The element to drag.
+ * @param {string} keys - The keys that move the element (see `parseKeys`).
+ * @param {object} [options]
+ * @param {string} [options.pickUpKey] - The key that starts the drag (`{space}`).
+ * @param {string} [options.dropKey] - The key that ends the drag (`{space}`).
+ * @param {number} [options.delay] - The time between key presses in ms.
+ * @return {Promise} Resolves once the drop key is pressed.
+ */
+export function keyboardDrag(source, keys, { pickUpKey = '{space}', dropKey = '{space}', delay = 0 } = {}) {
+  const doc = source.ownerDocument;
+  const allKeys = parseKeys(pickUpKey).concat(parseKeys(keys), parseKeys(dropKey));
+
+  source.focus();
+  return runActions(
+    allKeys.map((key) => () => pressKey(doc.activeElement || source, key)),
+    delay
+  );
+}
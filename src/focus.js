@@ -0,0 +1,128 @@
+import { FOCUSABLE_SELECTOR } from './pointer';
+import { getWindow } from './util';
+
+/*
+ * Get the `tabindex` of `element` as a number. Elements without
+ * a (valid) `tabindex` attribute are in the normal tab order.
+ */
+function getTabIndex(element) {
+  const tabIndex = parseInt(element.getAttribute('tabindex'), 10);
+  return isNaN(tabIndex) ? 0 : tabIndex;
+}
+
+/*
+ * Determine if `element` is rendered. Elements are hidden by
+ * the `hidden` attribute, `display: none` on themselves or
+ * an ancestor and `visibility: hidden`.
+ */
+function isRendered(element) {
+  const view = getWindow(element);
+  if (view.getComputedStyle(element).visibility === 'hidden') {
+    return false;
+  }
+  for (let node = element; node; node = node.parentElement) {
+    if (node.hidden || node.hasAttribute('inert') || view.getComputedStyle(node).display === 'none') {
+      return false;
+    }
+  }
+  return true;
+}
+
+/*
+ * Determine if `element` can be reached with the tab key.
+ */
+function isTabbable(element) {
+  return getTabIndex(element) >= 0 &&
+    !element.matches(':disabled') &&
+    isRendered(element);
+}
+
+/*
+ * Get the radios in the same group as `radio` within `root`.
+ */
+function getRadioGroup(root, radio) {
+  if (!radio.name) {
+    return [radio];
+  }
+  return Array.from(root.querySelectorAll('input[type=radio]'))
+    .filter((input) => input.name === radio.name && input.form === radio.form);
+}
+
+/*
+ * Get the stops in the sequential focus order of `root`. Each stop is
+ * the list of elements that can receive focus at that point in the
+ * order, which is a single element except for radio groups.
+ * Elements with a positive `tabindex` come first (in order of their
+ * `tabindex`) followed by the rest of the elements in document order.
+ */
+function getFocusStops(root) {
+  const stops = [];
+  const seen = new Set();
+  Array.from(root.querySelectorAll(FOCUSABLE_SELECTOR))
+    .filter(isTabbable)
+    .forEach((element) => {
+      if (seen.has(element)) {
+        return;
+      }
+      const group = element.type === 'radio' && element.tagName === 'INPUT'
+        ? getRadioGroup(root, element).filter(isTabbable)
+        : [element];
+      group.forEach((member) => seen.add(member));
+      stops.push(group);
+    });
+
+  // `Array.sort` is stable so elements with the same
+  // `tabindex` keep their document order.
+  const order = (stop) => getTabIndex(stop[0]) || Infinity;
+  return stops.sort((a, b) => order(a) === order(b) ? 0 : order(a) < order(b) ? -1 : 1);
+}
+
+/*
+ * Get the element of a focus stop that receives focus. Radio groups
+ * focus their checked radio or, if none are checked, the first
+ * radio when moving forward and the last when moving backward.
+ */
+function getStopElement(stop, backward = false) {
+  const checked = stop.find((element) => element.checked);
+  return checked || (backward ? stop[stop.length - 1] : stop[0]);
+}
+
+/*
+ * Get the elements inside of `root` in the order
+ * the tab key moves focus through them.
+ *
+ * @param {HTMLElement} root
+ * @return {HTMLElement[]}
+ */
+export function getFocusOrder(root) {
+  return getFocusStops(root).map((stop) => getStopElement(stop));
+}
+
+/*
+ * Move focus to the next (or previous) element in the sequential
+ * focus order of `root`, the way a browser does when pressing tab.
+ * Focus wraps around at the ends of the order and starts at the
+ * first (or last) element when nothing inside of `root` is focused.
+ * Moving focus dispatches `blur`, `focusout`, `focus` and `focusin`.
+ *
+ * @param {HTMLElement} root - The element to move focus within.
+ * @param {object} [options]
+ * @param {boolean} [options.shift] - Move focus backward like shift+tab.
+ * @return {HTMLElement|null} The newly focused element.
+ */
+export function moveFocus(root, { shift = false } = {}) {
+  const stops = getFocusStops(root);
+  if (!stops.length) {
+    return null;
+  }
+
+  const active = root.ownerDocument.activeElement;
+  const current = stops.findIndex((stop) => stop.includes(active));
+  const next = current === -1
+    ? (shift ? stops.length - 1 : 0)
+    : (current + (shift ? stops.length - 1 : 1)) % stops.length;
+
+  const element = getStopElement(stops[next], shift);
+  element.focus();
+  return element;
+}
@@ -0,0 +1,444 @@
+import { moveFocus } from './focus';
+import { getWindow } from './util';
+
+/*
+ * The special keys that can be typed with `{name}` tokens.
+ */
+const SPECIAL_KEYS = {
+  enter: { key: 'Enter', code: 'Enter', keyCode: 13 },
+  backspace: { key: 'Backspace', code: 'Backspace', keyCode: 8 },
+  delete: { key: 'Delete', code: 'Delete', keyCode: 46 },
+  escape: { key: 'Escape', code: 'Escape', keyCode: 27 },
+  esc: { key: 'Escape', code: 'Escape', keyCode: 27 },
+  tab: { key: 'Tab', code: 'Tab', keyCode: 9 },
+  space: { key: ' ', code: 'Space', keyCode: 32, charCode: 32, character: ' ' },
+  arrowleft: { key: 'ArrowLeft', code: 'ArrowLeft', keyCode: 37 },
+  arrowup: { key: 'ArrowUp', code: 'ArrowUp', keyCode: 38 },
+  arrowright: { key: 'ArrowRight', code: 'ArrowRight', keyCode: 39 },
+  arrowdown: { key: 'ArrowDown', code: 'ArrowDown', keyCode: 40 },
+  home: { key: 'Home', code: 'Home', keyCode: 36 },
+  end: { key: 'End', code: 'End', keyCode: 35 },
+};
+
+/*
+ * The modifier keys that can be used in chords like `{ctrl+a}`.
+ */
+const MODIFIER_KEYS = {
+  ctrl: { key: 'Control', code: 'ControlLeft', keyCode: 17, flag: 'ctrlKey' },
+  shift: { key: 'Shift', code: 'ShiftLeft', keyCode: 16, flag: 'shiftKey' },
+  alt: { key: 'Alt', code: 'AltLeft', keyCode: 18, flag: 'altKey' },
+  meta: { key: 'Meta', code: 'MetaLeft', keyCode: 91, flag: 'metaKey' },
+};
+
+/*
+ * The characters typed while holding shift on a US keyboard
+ * for the keys that don't produce a letter.
+ */
+const SHIFTED_CHARACTERS = {
+  '`': '~', '1': '!', '2': '@', '3': '#', '4': '$', '5': '%', '6': '^',
+  '7': '&', '8': '*', '9': '(', '0': ')', '-': '_', '=': '+', '[': '{',
+  ']': '}', '\\': '|', ';': ':', "'": '"', ',': '<', '.': '>', '/': '?',
+};
+
+/*
+ * The input types that prevent a form without a submit button
+ * from being submitted with enter if there is more than one of them.
+ */
+const IMPLICIT_SUBMISSION_TYPES = [
+  'text', 'search', 'url', 'tel', 'email', 'password', 'date',
+  'month', 'week', 'time', 'datetime-local', 'number',
+];
+
+/*
+ * The input types whose caret position can be read and changed.
+ */
+const SELECTABLE_TYPES = ['text', 'search', 'url', 'tel', 'password'];
+
+/*
+ * Get the key definition for a single character.
+ */
+function getCharacterKey(character) {
+  const upper = character.toUpperCase();
+  const code = /^[a-z]$/i.test(character)
+    ? `Key${upper}`
+    : /^[0-9]$/.test(character)
+    ? `Digit${character}`
+    : character === ' '
+    ? 'Space'
+    : '';
+  return {
+    key: character,
+    code,
+    keyCode: upper.charCodeAt(0),
+    charCode: character.charCodeAt(0),
+    character,
+  };
+}
+
+/*
+ * Get the key definition for a single character typed while holding
+ * shift. The key and character are shifted but the `code` and `keyCode`
+ * stay those of the physical key (ex. `{shift+1}` is `!` with `Digit1`).
+ */
+function getShiftedCharacterKey(character) {
+  const key = getCharacterKey(character);
+  const shifted = SHIFTED_CHARACTERS[character] || character.toUpperCase();
+  return {
+    ...key,
+    key: shifted,
+    charCode: shifted.charCodeAt(0),
+    character: shifted,
+  };
+}
+
+/*
+ * Get the key definition for a `{token}`. Tokens can be special
+ * keys (`{enter}`), `{selectall}` or chords (`{ctrl+a}`).
+ */
+function getTokenKey(token) {
+  const name = token.toLowerCase();
+  if (name === 'selectall') {
+    return { action: 'selectall' };
+  } else if (SPECIAL_KEYS[name]) {
+    return { ...SPECIAL_KEYS[name] };
+  }
+
+  const parts = name.split('+');
+  const modifiers = parts.slice(0, -1);
+  const last = token.split('+').pop();
+  if (parts.length > 1 && modifiers.every((modifier) => MODIFIER_KEYS[modifier])) {
+    const key = last.length !== 1
+      ? getTokenKey(last)
+      : modifiers.includes('shift')
+      ? getShiftedCharacterKey(last)
+      : getCharacterKey(last);
+    return { ...key, modifiers };
+  }
+
+  throw new Error(
+    `Unknown key "{${token}}". Available keys are: ` +
+    `${Object.keys(SPECIAL_KEYS).concat('selectall').map((k) => `{${k}}`).join(', ')} ` +
+    `and chords like {ctrl+a} using ${Object.keys(MODIFIER_KEYS).join(', ')}.`
+  );
+}
+
+/*
+ * Split the text to type into the list of keys to press.
+ * `{name}` tokens are special keys and `{{` types a literal `{`.
+ *
+ * Example:
+ * parseKeys('hi{enter}'); // h, i, Enter
+ *
+ * @param {string} text
+ * @return {object[]}
+ */
+export function parseKeys(text) {
+  const keys = [];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{' && text[i + 1] === '{') {
+      keys.push(getCharacterKey('{'));
+      i++;
+    } else if (text[i] === '{') {
+      const end = text.indexOf('}', i);
+      if (end === -1) {
+        throw new Error(`Missing the closing "}" for the key starting at index ${i} of "${text}".`);
+      }
+      keys.push(getTokenKey(text.slice(i + 1, end)));
+      i = end;
+    } else {
+      keys.push(getCharacterKey(text[i]));
+    }
+  }
+  return keys;
+}
+
+/*
+ * Determine if `element` holds an editable text value.
+ */
+function isEditable(element) {
+  return (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA') &&
+    !element.disabled &&
+    !element.readOnly;
+}
+
+/*
+ * Get the current selection of `element` as `[start, end]`.
+ * Inputs that don't support selection (ex. `number`) always
+ * have their caret at the end of their value.
+ */
+function getSelection(element) {
+  if (element.tagName === 'TEXTAREA' || SELECTABLE_TYPES.includes(element.type)) {
+    return [element.selectionStart, element.selectionEnd];
+  }
+  return [element.value.length, element.value.length];
+}
+
+function setSelection(element, start, end = start) {
+  if (element.tagName === 'TEXTAREA' || SELECTABLE_TYPES.includes(element.type)) {
+    element.setSelectionRange(start, end);
+  }
+}
+
+/*
+ * Set the value of `element` using the native setter so that
+ * frameworks tracking the value (ex. React) see the change.
+ */
+function setValue(element, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value');
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(element, value);
+  } else {
+    element.value = value;
+  }
+}
+
+function createKeyboardEvent(element, type, key, init) {
+  const view = getWindow(element);
+  const event = new view.KeyboardEvent(type, {
+    view,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    key: key.key,
+    code: key.code,
+    ...init,
+  });
+
+  // Legacy properties still used by many libraries.
+  const charCode = type === 'keypress' ? key.charCode || key.keyCode : 0;
+  const keyCode = type === 'keypress' ? charCode : key.keyCode;
+  Object.defineProperties(event, {
+    keyCode: { value: keyCode },
+    charCode: { value: charCode },
+    which: { value: keyCode },
+  });
+  return event;
+}
+
+function dispatchKeyboardEvent(element, type, key, init) {
+  return element.dispatchEvent(createKeyboardEvent(element, type, key, init));
+}
+
+/*
+ * Dispatch `beforeinput`, change the value and dispatch `input`
+ * for an edit of `element`. The edit is skipped if `beforeinput`
+ * is cancelled.
+ */
+function editValue(element, inputType, data, value, caret) {
+  const view = getWindow(element);
+  const init = { bubbles: true, composed: true, inputType, data };
+  if (!element.dispatchEvent(new view.InputEvent('beforeinput', { ...init, cancelable: true }))) {
+    return;
+  }
+
+  setValue(element, value);
+  setSelection(element, caret);
+  element.dispatchEvent(new view.InputEvent('input', init));
+}
+
+/*
+ * Determine if `element` is a submit button.
+ */
+function isSubmitButton(element) {
+  return element.tagName === 'BUTTON'
+    ? element.type === 'submit'
+    : element.tagName === 'INPUT' && ['submit', 'image'].includes(element.type);
+}
+
+/*
+ * Submit `form` the way a browser does when enter is pressed in one of
+ * its fields. Forms with a submit button are submitted by clicking the
+ * first one (unless it's disabled). Forms without a submit button are
+ * only submitted if they have a single field that blocks implicit
+ * submission (ex. a text input).
+ */
+function submitImplicitly(form) {
+  const controls = Array.from(form.elements);
+  const submitButton = controls.find(isSubmitButton);
+  if (submitButton) {
+    if (!submitButton.disabled) {
+      submitButton.click();
+    }
+  } else if (
+    controls.filter((control) =>
+      control.tagName === 'INPUT' && IMPLICIT_SUBMISSION_TYPES.includes(control.type)
+    ).length === 1
+  ) {
+    const view = getWindow(form);
+    form.dispatchEvent(new view.Event('submit', { bubbles: true, cancelable: true }));
+  }
+}
+
+/*
+ * Perform the default action of a key press on `element`.
+ * Tab moves focus within `root`.
+ */
+function performKeyAction(element, key, modifiers, root) {
+  const editable = isEditable(element);
+  const value = editable ? element.value : '';
+  const [start, end] = editable ? getSelection(element) : [0, 0];
+
+  if (key.action === 'selectall' || (modifiers.ctrlKey && key.key.toLowerCase() === 'a')) {
+    if (editable) {
+      setSelection(element, 0, value.length);
+    }
+  } else if (key.key === 'Tab') {
+    moveFocus(root, { shift: !!modifiers.shiftKey });
+  } else if (!editable) {
+    if (key.key === 'Enter' && element.tagName === 'BUTTON') {
+      element.click();
+    }
+  } else if (key.character !== undefined) {
+    // jsdom reports a `maxLength` of 0 for textareas without the attribute.
+    const max = element.hasAttribute('maxlength') ? element.maxLength : -1;
+    if (max >= 0 && value.length - (end - start) >= max) {
+      return;
+    }
+    const next = value.slice(0, start) + key.character + value.slice(end);
+    editValue(element, 'insertText', key.character, next, start + 1);
+  } else if (key.key === 'Enter') {
+    if (element.tagName === 'TEXTAREA') {
+      const next = `${value.slice(0, start)}\n${value.slice(end)}`;
+      editValue(element, 'insertLineBreak', null, next, start + 1);
+    } else if (element.form) {
+      submitImplicitly(element.form);
+    }
+  } else if (key.key === 'Backspace') {
+    const from = start === end ? Math.max(0, start - 1) : start;
+    if (from !== end) {
+      const next = value.slice(0, from) + value.slice(end);
+      editValue(element, 'deleteContentBackward', null, next, from);
+    }
+  } else if (key.key === 'Delete') {
+    const to = start === end ? Math.min(value.length, end + 1) : end;
+    if (start !== to) {
+      const next = value.slice(0, start) + value.slice(to);
+      editValue(element, 'deleteContentForward', null, next, start);
+    }
+  } else if (key.key === 'ArrowLeft') {
+    setSelection(element, start === end ? Math.max(0, start - 1) : start);
+  } else if (key.key === 'ArrowRight') {
+    setSelection(element, start === end ? Math.min(value.length, end + 1) : end);
+  } else if (key.key === 'Home' || key.key === 'ArrowUp') {
+    setSelection(element, 0);
+  } else if (key.key === 'End' || key.key === 'ArrowDown') {
+    setSelection(element, value.length);
+  }
+}
+
+/*
+ * Press a single key (from `parseKeys`) on `element`. This dispatches
+ * `keydown`, `keypress` (for keys that produce characters), the edit
+ * (`beforeinput`/`input`) and `keyup` events. Cancelling `keydown`
+ * or `keypress` prevents the edit. If the key moves focus (ex. tab),
+ * `keyup` is dispatched on the newly focused element.
+ *
+ * @param {HTMLElement} element
+ * @param {object} key
+ * @param {HTMLElement} [root] - The element tab moves focus within.
+ */
+export function pressKey(element, key, root = element.ownerDocument.body) {
+  if (key.action) {
+    performKeyAction(element, key, {}, root);
+    return;
+  }
+
+  const doc = element.ownerDocument;
+  const focused = doc.activeElement;
+
+  const modifiers = (key.modifiers || []).map((name) => MODIFIER_KEYS[name]);
+  const flags = {};
+  modifiers.forEach((modifier) => {
+    flags[modifier.flag] = true;
+    dispatchKeyboardEvent(element, 'keydown', modifier, flags);
+  });
+
+  // Chords (other than shift) don't produce characters.
+  const producesInput = key.character !== undefined || key.key === 'Enter';
+  const isShortcut = flags.ctrlKey || flags.altKey || flags.metaKey;
+
+  if (dispatchKeyboardEvent(element, 'keydown', key, flags)) {
+    if (!producesInput || isShortcut) {
+      performKeyAction(element, key, flags, root);
+    } else if (dispatchKeyboardEvent(element, 'keypress', key, flags)) {
+      performKeyAction(element, key, flags, root);
+    }
+  }
+
+  const target = doc.activeElement !== focused && doc.activeElement
+    ? doc.activeElement
+    : element;
+  dispatchKeyboardEvent(target, 'keyup', key, flags);
+
+  modifiers.reverse().forEach((modifier) => {
+    delete flags[modifier.flag];
+    dispatchKeyboardEvent(target, 'keyup', modifier, flags);
+  });
+}
+
+/*
+ * Press tab (or shift+tab) on the focused element, moving focus to
+ * the next (or previous) element in the focus order of `root` unless
+ * the `keydown` event is cancelled (ex. by a focus trap).
+ *
+ * @param {HTMLElement} root - The element to move focus within.
+ * @param {object} [options]
+ * @param {boolean} [options.shift] - Move focus backward.
+ * @return {HTMLElement|null} The focused element afterward.
+ */
+export function tab(root, { shift = false } = {}) {
+  const doc = root.ownerDocument;
+  const key = { ...SPECIAL_KEYS.tab, modifiers: shift ? ['shift'] : [] };
+  pressKey(doc.activeElement || doc.body, key, root);
+
+  const active = doc.activeElement;
+  return active && active !== doc.body ? active : null;
+}
+
+/*
+ * Type `text` into `element` one key at a time (see `parseKeys` and
+ * `pressKey`). The element is focused first and, if it wasn't already
+ * focused, the caret is placed at the end of its value. Each key is
+ * pressed on the element that has focus at the time.
+ *
+ * @param {HTMLElement} element
+ * @param {string} text - The text to type including `{key}` tokens.
+ * @param {object} [options]
+ * @param {number} [options.delay] - Milliseconds to wait between keys.
+ * @return {Promise} Resolves once all keys have been pressed or
+ *   rejects if `text` contains an unknown key.
+ */
+export function type(element, text, { delay = 0 } = {}) {
+  let keys;
+  try {
+    keys = parseKeys(text);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+
+  const doc = element.ownerDocument;
+  if (doc.activeElement !== element) {
+    element.focus();
+    if (isEditable(element)) {
+      setSelection(element, element.value.length);
+    }
+  }
+
+  // Keys are pressed on the focused element so the keys
+  // after a `{tab}` go to the newly focused element.
+  const press = (key) => pressKey(doc.activeElement || element, key);
+
+  if (!delay) {
+    keys.forEach(press);
+    return Promise.resolve();
+  }
+
+  // The first key is pressed right away like the keys typed without a delay.
+  const [first, ...rest] = keys;
+  if (first) {
+    press(first);
+  }
+  return rest.reduce((previous, key) => previous
+    .then(() => new Promise((resolve) => setTimeout(resolve, delay)))
+    .then(() => press(key)), Promise.resolve());
+}
@@ -0,0 +1,250 @@
+import { getWindow } from './util';
+
+/*
+ * The elements that can receive focus when clicked.
+ */
+export const FOCUSABLE_SELECTOR = [
+  'input:not([disabled]):not([type=hidden])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'button:not([disabled])',
+  'a[href]',
+  'area[href]',
+  'iframe',
+  '[tabindex]',
+  '[contenteditable=""]',
+  '[contenteditable=true]',
+].join(', ');
+
+/*
+ * The element the virtual pointer is currently over in each document.
+ */
+const pointerTargets = new WeakMap();
+
+/*
+ * Events that don't bubble and can't be cancelled.
+ */
+const ENTER_LEAVE_EVENTS = ['pointerenter', 'pointerleave', 'mouseenter', 'mouseleave'];
+
+/*
+ * Create a pointer or mouse event for `element`. jsdom doesn't implement
+ * `PointerEvent` so pointer events are created as `MouseEvent`s with
+ * the `PointerEvent` specific properties added. Pointer events are
+ * from the mouse unless `init` has a different `pointerType`.
+ *
+ * @param {HTMLElement} element - The element the event will be dispatched on.
+ * @param {string} type - The event type (ex. `pointerdown`).
+ * @param {object} [init] - The event init options (ex. `button`, `ctrlKey`,
+ *   `pointerId`, `pointerType`).
+ * @return {MouseEvent}
+ */
+export function createPointerEvent(element, type, init = {}) {
+  const view = getWindow(element);
+  const isPointer = type.startsWith('pointer');
+  const EventConstructor = isPointer && view.PointerEvent
+    ? view.PointerEvent
+    : view.MouseEvent;
+  const isEnterLeave = ENTER_LEAVE_EVENTS.includes(type);
+
+  const eventInit = {
+    view,
+    bubbles: !isEnterLeave,
+    cancelable: !isEnterLeave,
+    composed: !isEnterLeave,
+    detail: 0,
+    button: 0,
+    buttons: 0,
+    ...(isPointer ? { pointerId: 1, pointerType: 'mouse', isPrimary: true } : {}),
+    ...init,
+  };
+  const event = new EventConstructor(type, eventInit);
+
+  if (isPointer && !view.PointerEvent) {
+    Object.defineProperties(event, {
+      pointerId: { value: eventInit.pointerId },
+      pointerType: { value: eventInit.pointerType },
+      isPrimary: { value: eventInit.isPrimary },
+      width: { value: eventInit.width || 1 },
+      height: { value: eventInit.height || 1 },
+      pressure: {
+        value: eventInit.pressure !== undefined ? eventInit.pressure : eventInit.buttons ? 0.5 : 0,
+      },
+    });
+  }
+
+  return event;
+}
+
+/*
+ * Dispatch a pointer or mouse event from `element`.
+ *
+ * @return {boolean} `false` if the event was cancelled.
+ */
+export function dispatchPointerEvent(element, type, init) {
+  return element.dispatchEvent(createPointerEvent(element, type, init));
+}
+
+/*
+ * Get the element the virtual pointer is currently over in `doc`.
+ *
+ * @param {Document} doc
+ * @return {HTMLElement|null}
+ */
+export function getPointerTarget(doc) {
+  const target = pointerTargets.get(doc);
+  return target && target.isConnected ? target : null;
+}
+
+/*
+ * Get the ancestors of `element` (including `element`)
+ * up to but not including `stop`, starting with `element`.
+ */
+function ancestorsUntil(element, stop) {
+  const ancestors = [];
+  for (let node = element; node && node !== stop; node = node.parentElement) {
+    ancestors.push(node);
+  }
+  return ancestors;
+}
+
+/*
+ * Move the virtual pointer over `target`, dispatching the out/leave
+ * events on the element the pointer was previously over and the
+ * over/enter events on `target` in the same order as a browser.
+ * Moving the pointer to `null` moves it off of the page.
+ *
+ * @param {Document} doc - The document the pointer is moving within.
+ * @param {HTMLElement|null} target - The element to move over.
+ * @param {object} [init] - Additional event init options.
+ */
+export function movePointer(doc, target, init = {}) {
+  const previous = getPointerTarget(doc);
+  if (previous === target) {
+    return;
+  }
+
+  // The closest element containing both `previous` and `target`
+  // which the pointer doesn't enter or leave.
+  let common = previous;
+  while (common && target && !common.contains(target)) {
+    common = common.parentElement;
+  }
+  if (!target) {
+    common = null;
+  }
+
+  const leaving = previous ? ancestorsUntil(previous, common) : [];
+  const entering = target ? ancestorsUntil(target, common).reverse() : [];
+
+  ['pointer', 'mouse'].forEach((kind) => {
+    if (previous) {
+      dispatchPointerEvent(previous, `${kind}out`, { ...init, relatedTarget: target });
+      leaving.forEach((element) => {
+        dispatchPointerEvent(element, `${kind}leave`, { ...init, relatedTarget: target });
+      });
+    }
+    if (target) {
+      dispatchPointerEvent(target, `${kind}over`, { ...init, relatedTarget: previous });
+      entering.forEach((element) => {
+        dispatchPointerEvent(element, `${kind}enter`, { ...init, relatedTarget: previous });
+      });
+    }
+  });
+
+  if (target) {
+    pointerTargets.set(doc, target);
+  } else {
+    pointerTargets.delete(doc);
+  }
+}
+
+/*
+ * Move the virtual mouse over `element` (see `movePointer`) and
+ * dispatch `pointermove` and `mousemove` on it.
+ *
+ * @param {HTMLElement} element - The element to move the mouse over.
+ * @param {object} [init] - Event init options (ex. `clientX`, `shiftKey`).
+ */
+export function hover(element, init = {}) {
+  movePointer(element.ownerDocument, element, init);
+  dispatchPointerEvent(element, 'pointermove', init);
+  dispatchPointerEvent(element, 'mousemove', init);
+}
+
+/*
+ * Move the virtual mouse off of `element` if it is over `element`
+ * (or one of its descendants). The mouse moves onto an empty area of
+ * the page (the `body`) which dispatches the out/leave events for
+ * `element` and its ancestors.
+ *
+ * @param {HTMLElement} element - The element to move the mouse away from.
+ * @param {object} [init] - Event init options.
+ * @return {boolean} `false` if the mouse wasn't over `element`.
+ */
+export function unhover(element, init = {}) {
+  const doc = element.ownerDocument;
+  const target = getPointerTarget(doc);
+  if (!target || !element.contains(target)) {
+    return false;
+  }
+
+  if (doc.body && !element.contains(doc.body)) {
+    hover(doc.body, init);
+  } else {
+    movePointer(doc, null, init);
+  }
+  return true;
+}
+
+/*
+ * Move focus the way a browser does when pressing the mouse on `element`:
+ * the closest focusable element is focused (blurring the previously
+ * focused element) or, if there isn't one, the active element is blurred.
+ */
+export function focusFromPointer(element) {
+  const doc = element.ownerDocument;
+  const focusable = element.closest(FOCUSABLE_SELECTOR);
+  if (focusable) {
+    if (doc.activeElement !== focusable) {
+      focusable.focus();
+    }
+  } else if (doc.activeElement && doc.activeElement !== doc.body) {
+    doc.activeElement.blur();
+  }
+}
+
+/*
+ * Simulate a user clicking on `element` with the primary mouse button by
+ * dispatching the same sequence of events as a browser:
+ * pointerover/enter, mouseover/enter, pointerdown, mousedown,
+ * focus change, pointerup, mouseup and click.
+ *
+ * Disabled form controls only receive pointer events. Cancelling
+ * `mousedown` prevents the focus change.
+ *
+ * @param {HTMLElement} element - The element to click.
+ * @param {object} [options] - Modifier keys to hold during the click
+ *   (`ctrlKey`, `shiftKey`, `altKey`, `metaKey`) and any other
+ *   event init options.
+ * @return {boolean} `false` if the click event was cancelled.
+ */
+export function click(element, options = {}) {
+  const doc = element.ownerDocument;
+  const disabled = element.matches(':disabled');
+  const press = { ...options, button: 0, buttons: 1, detail: 1 };
+  const release = { ...options, button: 0, buttons: 0, detail: 1 };
+
+  movePointer(doc, element, options);
+
+  dispatchPointerEvent(element, 'pointerdown', { ...press, detail: 0 });
+  if (!disabled && dispatchPointerEvent(element, 'mousedown', press)) {
+    focusFromPointer(element);
+  }
+
+  dispatchPointerEvent(element, 'pointerup', { ...release, detail: 0 });
+  if (disabled) {
+    return false;
+  }
+  dispatchPointerEvent(element, 'mouseup', release);
+  return dispatchPointerEvent(element, 'click', release);
+}
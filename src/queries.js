@@ -0,0 +1,454 @@
+import { queries } from '@testing-library/react';
+
+import { rankBySimilarity } from './util';
+
+/*
+ * The prefix used to mark a string selector as an XPath expression.
+ * For example, `xpath://button[normalize-space()="Save"]`.
+ */
+const XPATH_PREFIX = 'xpath:';
+
+/*
+ * Make the absolute location paths of an XPath expression relative
+ * to the context node by prefixing them with `.` (ex. `//li` becomes
+ * `.//li`). This includes each path of a union (`//a | //b`) and paths
+ * inside of parentheses (`(//li)[2]`) but not paths inside of
+ * predicates or string literals.
+ *
+ * @param {string} expression - The XPath expression.
+ * @return {string}
+ */
+function toRelativeXPath(expression) {
+  let result = '';
+  let quote = null;
+  let predicates = 0;
+  // The last character outside of a string literal that wasn't whitespace.
+  let previous = '';
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+    if (quote) {
+      quote = char === quote ? null : quote;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '[') {
+      predicates++;
+    } else if (char === ']') {
+      predicates--;
+    } else if (
+      char === '/' &&
+      predicates === 0 &&
+      ['', '(', '|', ','].includes(previous)
+    ) {
+      result += '.';
+    }
+
+    result += char;
+    if (!quote && !/\s/.test(char)) {
+      previous = char;
+    }
+  }
+  return result;
+}
+
+/*
+ * Find all of the elements matching an XPath expression in document order.
+ * Absolute paths are evaluated relative to `root` so `//button`,
+ * `//a | //button` and `(//li)[2]` only find the elements inside of `root`.
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @param {string} expression - The XPath expression.
+ * @return {HTMLElement[]}
+ */
+function queryAllByXPath(root, expression) {
+  const doc = root.ownerDocument || root;
+  const relative = root !== doc ? toRelativeXPath(expression) : expression;
+
+  const result = doc.evaluate(
+    relative,
+    root,
+    null,
+    doc.defaultView.XPathResult.ORDERED_NODE_SNAPSHOT_TYPE,
+    null
+  );
+
+  const elements = [];
+  for (let i = 0; i < result.snapshotLength; i++) {
+    const node = result.snapshotItem(i);
+    if (node.nodeType === 1) {
+      elements.push(node);
+    }
+  }
+  return elements;
+}
+
+/*
+ * The query used for each of the keys supported in a selector descriptor.
+ * These map onto the `@testing-library/dom` `queryAllBy*` queries
+ * (with the exception of `xpath`).
+ */
+const descriptorQueries = {
+  xpath: queryAllByXPath,
+  role: queries.queryAllByRole,
+  label: queries.queryAllByLabelText,
+  text: queries.queryAllByText,
+  placeholder: queries.queryAllByPlaceholderText,
+  altText: queries.queryAllByAltText,
+  title: queries.queryAllByTitle,
+  displayValue: queries.queryAllByDisplayValue,
+  testId: queries.queryAllByTestId,
+};
+
+/*
+ * The combinator used to select inside of an element's open shadow root.
+ * For example, `my-button >>> button` selects the `button` elements inside
+ * of the shadow root of `my-button` elements.
+ */
+const SHADOW_COMBINATOR = '>>>';
+
+/*
+ * Get the descriptor key (ex. `role`) used by a selector
+ * descriptor like `{role: 'button', name: /save/i}`.
+ *
+ * @param {*} selector
+ * @return {string|undefined}
+ */
+function getDescriptorKey(selector) {
+  if (selector && typeof(selector) === 'object' && !selector.nodeType) {
+    return Object.keys(descriptorQueries).find((key) => key in selector);
+  }
+}
+
+/*
+ * Determine if the given selector is a query descriptor
+ * like `{role: 'button', name: /save/i}` or `{label: 'Email'}`.
+ *
+ * @param {*} selector
+ * @return {boolean}
+ */
+export function isQueryDescriptor(selector) {
+  return !!getDescriptorKey(selector);
+}
+
+/*
+ * Find all of the elements inside of `root` that match the given selector.
+ * Descriptor keys map onto the `@testing-library/dom` `queryAllBy*` queries
+ * and any other keys on the descriptor are passed as options to that query.
+ * XPath expressions can be given as `{xpath: '//button'}` or `xpath://button`.
+ *
+ * Example:
+ * queryAll(root, {role: 'button', name: /save/i});
+ * // equivalent to:
+ * queryAllByRole(root, 'button', {name: /save/i});
+ *
+ * Function selectors are called with `root` and should return
+ * the list of matching elements.
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @param {string|object|function} selector - A CSS selector, query descriptor
+ *   or function returning a list of elements.
+ * @return {NodeList|HTMLElement[]}
+ */
+export function queryAll(root, selector) {
+  const key = getDescriptorKey(selector);
+  if (typeof(selector) === 'function') {
+    return Array.from(selector(root) || []);
+  } else if (key) {
+    const { [key]: matcher, ...options } = selector;
+    return descriptorQueries[key](root, matcher, options);
+  } else if (isXPathSelector(selector)) {
+    return queryAllByXPath(root, selector.slice(XPATH_PREFIX.length).trim());
+  } else if (isShadowSelector(selector)) {
+    return queryShadowAll(root, selector);
+  } else {
+    return root.querySelectorAll(selector);
+  }
+}
+
+/*
+ * Determine if the given selector is an `xpath:` prefixed string.
+ *
+ * @param {*} selector
+ * @return {boolean}
+ */
+export function isXPathSelector(selector) {
+  return typeof(selector) === 'string' && selector.startsWith(XPATH_PREFIX);
+}
+
+/*
+ * Determine if the given selector is a plain CSS selector that
+ * can be used with the native DOM selection APIs.
+ *
+ * @param {*} selector
+ * @return {boolean}
+ */
+export function isCSSSelector(selector) {
+  return typeof(selector) === 'string' &&
+    !isXPathSelector(selector) &&
+    !isShadowSelector(selector);
+}
+
+/*
+ * Determine if the given selector uses the `>>>` shadow root combinator.
+ *
+ * @param {*} selector
+ * @return {boolean}
+ */
+export function isShadowSelector(selector) {
+  return typeof(selector) === 'string' && selector.includes(SHADOW_COMBINATOR);
+}
+
+/*
+ * Find the elements matching a selector that uses the `>>>` combinator.
+ * Each part of the selector after a `>>>` is searched for inside of the
+ * open shadow roots of the elements matching the part before it.
+ * A selector starting with `>>>` searches inside the shadow root of `root`.
+ *
+ * Example:
+ * queryShadowAll(root, 'my-dialog >>> my-button >>> button');
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @param {string} selector
+ * @return {HTMLElement[]}
+ */
+function queryShadowAll(root, selector) {
+  return selector.split(SHADOW_COMBINATOR)
+    .map((part) => part.trim())
+    .reduce((hosts, part, index) => {
+      if (index === 0 && !part) {
+        return hosts;
+      }
+
+      const scopes = index === 0
+        ? hosts
+        : hosts.map((host) => host.shadowRoot).filter(Boolean);
+
+      return scopes
+        .reduce((elements, scope) => elements.concat(Array.from(scope.querySelectorAll(part))), [])
+        .filter((element, i, list) => list.indexOf(element) === i);
+    }, [root]);
+}
+
+/*
+ * Get the names of the custom elements used inside of `root`,
+ * including those used inside of open shadow roots.
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @return {string[]}
+ */
+export function getCustomElementNames(root) {
+  const names = [];
+  const search = (scope) => {
+    scope.querySelectorAll('*').forEach((element) => {
+      const name = element.localName;
+      if (name.includes('-') && !names.includes(name)) {
+        names.push(name);
+      }
+      if (element.shadowRoot) {
+        search(element.shadowRoot);
+      }
+    });
+  };
+
+  search(root);
+  return names;
+}
+
+/*
+ * Get the text of every label inside of `root` that could be used
+ * to find a form control. This includes `<label>` elements,
+ * `aria-label` attributes and the elements referenced by
+ * `aria-labelledby` attributes.
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @return {string[]}
+ */
+export function getAvailableLabels(root) {
+  const labels = Array.from(root.querySelectorAll('label'))
+    .map((label) => label.textContent);
+
+  root.querySelectorAll('[aria-label]')
+    .forEach((element) => labels.push(element.getAttribute('aria-label')));
+
+  root.querySelectorAll('[aria-labelledby]').forEach((element) => {
+    element.getAttribute('aria-labelledby')
+      .split(/\s+/)
+      .map((id) => element.ownerDocument.getElementById(id))
+      .filter(Boolean)
+      .forEach((label) => labels.push(label.textContent));
+  });
+
+  return labels
+    .map((label) => label.replace(/\s+/g, ' ').trim())
+    .filter((label, index, list) => label && list.indexOf(label) === index);
+}
+
+/*
+ * Get the form controls inside of `root` (a form or any other container).
+ *
+ * @param {HTMLElement} root
+ * @return {HTMLElement[]}
+ */
+export function getFormControls(root) {
+  return Array.from(root.elements || root.querySelectorAll('input, select, textarea, button'));
+}
+
+/*
+ * Find the form controls inside of `root` identified by `name`.
+ * Controls are matched by their `name` attribute, then their `id`
+ * and finally by their label text.
+ *
+ * @param {HTMLElement} root - The form (or container) to search within.
+ * @param {string} name - The name, id or label of the control.
+ * @return {HTMLElement[]}
+ */
+export function queryAllFormControls(root, name) {
+  const controls = getFormControls(root);
+  const byName = controls.filter((control) => control.name === name);
+  if (byName.length) {
+    return byName;
+  }
+
+  const byId = controls.filter((control) => control.id === name);
+  if (byId.length) {
+    return byId;
+  }
+
+  return Array.from(queryAll(root, { label: name }));
+}
+
+/*
+ * Determine if `element` matches the given CSS selector or query descriptor.
+ * Other selectors (ex. query descriptors or XPath) are searched for inside of `root`.
+ *
+ * @param {HTMLElement} element - The element to test.
+ * @param {string|object} selector - A CSS selector or query descriptor.
+ * @param {HTMLElement} root - The element query descriptors are searched within.
+ * @return {boolean}
+ */
+export function matchesSelector(element, selector, root) {
+  if (isCSSSelector(selector)) {
+    return element.matches(selector);
+  } else {
+    return Array.from(queryAll(root, selector)).includes(element);
+  }
+}
+
+/*
+ * Determine if the (whitespace normalized) text content of `element`
+ * contains the given string or matches the given RegExp.
+ *
+ * @param {HTMLElement} element
+ * @param {string|RegExp} text
+ * @return {boolean}
+ */
+export function hasText(element, text) {
+  const content = element.textContent.replace(/\s+/g, ' ').trim();
+  return text instanceof RegExp
+    ? text.test(content)
+    : content.includes(text);
+}
+
+/*
+ * Determine if `element` has the given attribute. If `value` is
+ * given, the attribute must also equal that string or match that RegExp.
+ *
+ * @param {HTMLElement} element
+ * @param {string} name - The attribute name.
+ * @param {string|RegExp} [value] - The expected attribute value.
+ * @return {boolean}
+ */
+export function hasAttribute(element, name, value) {
+  if (!element.hasAttribute(name)) {
+    return false;
+  } else if (value === undefined) {
+    return true;
+  }
+
+  const attribute = element.getAttribute(name);
+  return value instanceof RegExp
+    ? value.test(attribute)
+    : attribute === String(value);
+}
+
+/*
+ * Get the unique values of the test id `attribute` used inside of `root`.
+ *
+ * @param {HTMLElement} root - The element to search within.
+ * @param {string} attribute - The test id attribute (ex. `data-test`).
+ * @return {string[]}
+ */
+export function getTestIds(root, attribute) {
+  const ids = [];
+  if (root && root.querySelectorAll) {
+    root.querySelectorAll(`[${attribute}]`).forEach((element) => {
+      const id = element.getAttribute(attribute);
+      if (id && !ids.includes(id)) {
+        ids.push(id);
+      }
+    });
+  }
+  return ids;
+}
+
+/*
+ * Build a "did you mean" message for a selector name that didn't match
+ * anything. The message lists the selector names defined on the PageObject
+ * and the test ids present inside of `root`, ranked by their similarity
+ * to `name`.
+ *
+ * @param {string} name - The selector name that was requested.
+ * @param {string[]} selectorNames - The selector names defined on the PageObject.
+ * @param {HTMLElement} root - The element that was searched.
+ * @param {string} attribute - The test id attribute to list the values of.
+ * @param {number} [limit] - The maximum number of suggestions in each list.
+ * @return {string} The message or an empty string if there are no suggestions.
+ */
+export function getSuggestions(name, selectorNames, root, attribute, limit = 5) {
+  const list = (options) => rankBySimilarity(name, options)
+    .slice(0, limit)
+    .map((option) => `"${option}"`)
+    .join(', ');
+
+  const names = selectorNames.filter((selectorName) => selectorName !== name);
+  const ids = getTestIds(root, attribute);
+  const lines = [];
+  if (names.length) {
+    lines.push(`  Selectors: ${list(names)}`);
+  }
+  if (ids.length) {
+    lines.push(`  Test ids in the DOM: ${list(ids)}`);
+  }
+
+  return lines.length
+    ? `Did you mean "${name}" to be one of the following?\n${lines.join('\n')}\n`
+    : '';
+}
+
+/*
+ * Get a readable representation of a value for use in error messages.
+ * Strings are quoted and everything else is converted to a string.
+ *
+ * @param {*} value
+ * @return {string}
+ */
+export function valueToString(value) {
+  return typeof(value) === 'string' ? `"${value}"` : String(value);
+}
+
+/*
+ * Get a readable representation of a selector for use in error messages.
+ *
+ * @param {string|object|function} selector
+ * @return {string}
+ */
+export function selectorToString(selector) {
+  if (isQueryDescriptor(selector)) {
+    const options = Object.keys(selector)
+      .map((key) => `${key}: ${valueToString(selector[key])}`)
+      .join(', ');
+    return `{${options}}`;
+  } else {
+    return String(selector);
+  }
+}
@@ -0,0 +1,289 @@
+import { dispatchPointerEvent, focusFromPointer } from './pointer';
+import { getCenter, getWindow } from './util';
+
+/*
+ * The `pointerId` of the first touch. The mouse uses `pointerId` 1.
+ */
+const FIRST_TOUCH_POINTER_ID = 2;
+
+/*
+ * The offsets of each swipe direction.
+ */
+const SWIPE_DIRECTIONS = {
+  left: { x: -1, y: 0 },
+  right: { x: 1, y: 0 },
+  up: { x: 0, y: -1 },
+  down: { x: 0, y: 1 },
+};
+
+/*
+ * Create a `Touch` for a finger at the client coordinates `point`.
+ * jsdom doesn't implement `Touch` so a plain object with the same
+ * properties is used instead.
+ */
+function createTouch(element, identifier, point) {
+  const view = getWindow(element);
+  const init = {
+    identifier,
+    target: element,
+    clientX: point.x,
+    clientY: point.y,
+    pageX: point.x + (view.pageXOffset || 0),
+    pageY: point.y + (view.pageYOffset || 0),
+    screenX: point.x,
+    screenY: point.y,
+    radiusX: 1,
+    radiusY: 1,
+    rotationAngle: 0,
+    force: 1,
+  };
+  return view.Touch ? new view.Touch(init) : init;
+}
+
+/*
+ * Create an array that can be used like a `TouchList`.
+ */
+function createTouchList(touches) {
+  const list = touches.slice();
+  list.item = (index) => list[index] || null;
+  return list;
+}
+
+/*
+ * Dispatch a touch event from `element`. jsdom doesn't implement
+ * `TouchEvent` so touch events are created as `UIEvent`s with the
+ * `TouchEvent` specific properties added.
+ *
+ * @param {HTMLElement} element
+ * @param {string} type - The event type (ex. `touchstart`).
+ * @param {object[]} touches - The touches that are on the screen.
+ * @param {object[]} changedTouches - The touches that changed.
+ * @param {object} [init] - The event init options (ex. `ctrlKey`).
+ * @return {boolean} `false` if the event was cancelled.
+ */
+function dispatchTouchEvent(element, type, touches, changedTouches, init = {}) {
+  const view = getWindow(element);
+  const eventInit = {
+    view,
+    bubbles: true,
+    cancelable: true,
+    composed: true,
+    ...init,
+  };
+
+  let event;
+  if (view.TouchEvent) {
+    event = new view.TouchEvent(type, {
+      ...eventInit,
+      touches,
+      targetTouches: touches,
+      changedTouches,
+    });
+  } else {
+    event = new view.UIEvent(type, eventInit);
+    Object.defineProperties(event, {
+      touches: { value: createTouchList(touches) },
+      targetTouches: { value: createTouchList(touches) },
+      changedTouches: { value: createTouchList(changedTouches) },
+      ctrlKey: { value: !!init.ctrlKey },
+      shiftKey: { value: !!init.shiftKey },
+      altKey: { value: !!init.altKey },
+      metaKey: { value: !!init.metaKey },
+    });
+  }
+  return element.dispatchEvent(event);
+}
+
+/*
+ * Get the pointer event init options for a touch.
+ */
+function getPointerInit(touch, init) {
+  return {
+    ...init,
+    pointerId: FIRST_TOUCH_POINTER_ID + touch.identifier,
+    pointerType: 'touch',
+    isPrimary: touch.identifier === 0,
+    clientX: touch.clientX,
+    clientY: touch.clientY,
+    screenX: touch.screenX,
+    screenY: touch.screenY,
+  };
+}
+
+/*
+ * Put a finger down on `element` at each of the given `points`. For
+ * each finger this dispatches `pointerover`, `pointerenter` and
+ * `pointerdown` followed by a single `touchstart` for all of the fingers.
+ *
+ * @return {object} The gesture to pass to `moveTouches` and `endTouches`.
+ */
+function startTouches(element, points, init) {
+  const touches = points.map((point, index) => createTouch(element, index, point));
+  touches.forEach((touch) => {
+    const pointerInit = getPointerInit(touch, init);
+    dispatchPointerEvent(element, 'pointerover', pointerInit);
+    dispatchPointerEvent(element, 'pointerenter', pointerInit);
+    dispatchPointerEvent(element, 'pointerdown', { ...pointerInit, buttons: 1 });
+  });
+  const started = dispatchTouchEvent(element, 'touchstart', touches, touches, init);
+  return { touches, cancelled: !started };
+}
+
+/*
+ * Move the fingers of `gesture` to the given `points`, dispatching
+ * `pointermove` for each finger and a single `touchmove`.
+ */
+function moveTouches(element, gesture, points, init) {
+  gesture.touches = points.map((point, index) => createTouch(element, index, point));
+  gesture.touches.forEach((touch) => {
+    dispatchPointerEvent(element, 'pointermove', { ...getPointerInit(touch, init), buttons: 1 });
+  });
+  dispatchTouchEvent(element, 'touchmove', gesture.touches, gesture.touches, init);
+}
+
+/*
+ * Lift the fingers of `gesture`, dispatching `pointerup`,
+ * `pointerout` and `pointerleave` for each finger and a single `touchend`.
+ *
+ * @return {boolean} `false` if the touchstart or touchend was cancelled.
+ */
+function endTouches(element, gesture, init) {
+  gesture.touches.forEach((touch) => {
+    const pointerInit = getPointerInit(touch, init);
+    dispatchPointerEvent(element, 'pointerup', pointerInit);
+    dispatchPointerEvent(element, 'pointerout', pointerInit);
+    dispatchPointerEvent(element, 'pointerleave', pointerInit);
+  });
+  const ended = dispatchTouchEvent(element, 'touchend', [], gesture.touches, init);
+  return ended && !gesture.cancelled;
+}
+
+/*
+ * Put fingers down at the `from` points, move them to the `to` points
+ * in `steps` interpolated moves and lift them. Without a `duration`
+ * the whole gesture happens synchronously.
+ *
+ * @return {Promise} Resolves once the fingers are lifted.
+ */
+function performGesture(element, from, to, { steps = 10, duration = 0, ...init } = {}) {
+  const gesture = startTouches(element, from, init);
+  const moves = [];
+  for (let step = 1; step <= steps; step++) {
+    moves.push(from.map((point, index) => ({
+      x: point.x + (to[index].x - point.x) * step / steps,
+      y: point.y + (to[index].y - point.y) * step / steps,
+    })));
+  }
+
+  if (!duration) {
+    moves.forEach((points) => moveTouches(element, gesture, points, init));
+    endTouches(element, gesture, init);
+    return Promise.resolve();
+  }
+
+  const wait = () => new Promise((resolve) => setTimeout(resolve, duration / moves.length));
+  return moves
+    .reduce((previous, points) => previous
+      .then(wait)
+      .then(() => moveTouches(element, gesture, points, init)), Promise.resolve())
+    .then(() => {
+      endTouches(element, gesture, init);
+    });
+}
+
+/*
+ * Tap the center of `element` with one finger. Unless the touch events
+ * are cancelled, the browser's compatibility mouse events (`mousemove`,
+ * `mousedown`, focus change, `mouseup` and `click`) follow the touch.
+ *
+ * @param {HTMLElement} element
+ * @param {object} [init] - Event init options.
+ * @return {boolean} `false` if the tap didn't result in a click.
+ */
+export function tap(element, init = {}) {
+  const point = getCenter(element);
+  const gesture = startTouches(element, [point], init);
+  if (!endTouches(element, gesture, init) || element.matches(':disabled')) {
+    return false;
+  }
+
+  const mouseInit = { ...init, clientX: point.x, clientY: point.y, detail: 1 };
+  dispatchPointerEvent(element, 'mousemove', { ...mouseInit, detail: 0 });
+  if (dispatchPointerEvent(element, 'mousedown', { ...mouseInit, buttons: 1 })) {
+    focusFromPointer(element);
+  }
+  dispatchPointerEvent(element, 'mouseup', mouseInit);
+  return dispatchPointerEvent(element, 'click', mouseInit);
+}
+
+/*
+ * Press and hold the center of `element` with one finger for `duration`
+ * ms. Like a mobile browser, a `contextmenu` event is dispatched while
+ * the finger is held and no click follows.
+ *
+ * @param {HTMLElement} element
+ * @param {number} [duration] - How long to hold the finger down in ms.
+ * @param {object} [init] - Event init options.
+ * @return {Promise} Resolves once the finger is lifted.
+ */
+export function longPress(element, duration = 500, init = {}) {
+  const point = getCenter(element);
+  const gesture = startTouches(element, [point], init);
+  return new Promise((resolve) => setTimeout(resolve, duration))
+    .then(() => {
+      if (element.isConnected) {
+        dispatchPointerEvent(element, 'contextmenu', { ...init, clientX: point.x, clientY: point.y });
+      }
+      endTouches(element, gesture, init);
+    });
+}
+
+/*
+ * Swipe one finger from the center of `element` `distance` pixels
+ * in `direction` (`left`, `right`, `up` or `down`).
+ *
+ * @param {HTMLElement} element
+ * @param {string} direction
+ * @param {number} [distance] - The distance to swipe in pixels.
+ * @param {object} [options]
+ * @param {number} [options.steps] - The number of `touchmove`s.
+ * @param {number} [options.duration] - How long the swipe takes in ms.
+ * @return {Promise} Resolves once the finger is lifted or rejects
+ *   if `direction` is unknown.
+ */
+export function swipe(element, direction, distance = 100, options) {
+  const offset = SWIPE_DIRECTIONS[direction];
+  if (!offset) {
+    return Promise.reject(new Error(
+      `Unknown swipe direction "${direction}". ` +
+      `Available directions are: ${Object.keys(SWIPE_DIRECTIONS).join(', ')}.`
+    ));
+  }
+
+  const from = getCenter(element);
+  const to = { x: from.x + offset.x * distance, y: from.y + offset.y * distance };
+  return performGesture(element, [from], [to], options);
+}
+
+/*
+ * Pinch `element` with two fingers that start `distance` pixels apart
+ * (horizontally around its center) and move until they are
+ * `distance * scale` apart. A `scale` below 1 pinches in (zoom out)
+ * and above 1 spreads the fingers apart (zoom in).
+ *
+ * @param {HTMLElement} element
+ * @param {number} scale
+ * @param {object} [options]
+ * @param {number} [options.distance] - The starting distance between the fingers.
+ * @param {number} [options.steps] - The number of `touchmove`s.
+ * @param {number} [options.duration] - How long the pinch takes in ms.
+ * @return {Promise} Resolves once the fingers are lifted.
+ */
+export function pinch(element, scale, { distance = 100, ...options } = {}) {
+  const center = getCenter(element);
+  const finger = (spread) => [
+    { x: center.x - spread / 2, y: center.y },
+    { x: center.x + spread / 2, y: center.y },
+  ];
+  return performGesture(element, finger(distance), finger(distance * scale), options);
+}
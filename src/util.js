@@ -1,5 +1,7 @@
 
-function doWait(cb, end, timeout, resolve, reject) {
+import { getOption } from './config';
+
+function doWait(cb, end, timeout, interval, resolve, reject) {
   setTimeout(() => {
     try {
       cb();
@@ -8,19 +10,43 @@ function doWait(cb, end, timeout, resolve, reject) {
       if (Date.now() > end) {
         reject(e);
       } else {
-        doWait(cb, end, 60, resolve, reject);
+        doWait(cb, end, interval, interval, resolve, reject);
       }
     }
   }, timeout);
 }
 
+/*
+ * Call `callback` after `ms` milliseconds. Like `setTimeout`, 0 waits
+ * for the next tick. `false` skips the timer so the callback is called
+ * once the current code finishes (which also works with fake timers).
+ *
+ * @param {number|false} ms
+ * @param {function} [callback]
+ * @return {Promise} Resolves with the result of `callback` or
+ *   rejects with the error it throws.
+ */
+export function after(ms, callback) {
+  const wait = ms === false
+    ? Promise.resolve()
+    : new Promise((resolve) => setTimeout(resolve, ms));
+  return wait.then(() => callback ? callback() : undefined);
+}
+
 /**
  * Replacement for @testing-library waitFor because
  * the latest version seems to have a defect where the
  * promise does not reject immediately when the callback
  * expectation is met.
+ *
+ * The `timeout` and polling `interval` default to the
+ * configured `defaultTimeout` and `pollInterval`.
  */
-export function waitForMe(cb, timeout = 1000) {
+export function waitForMe(
+  cb,
+  timeout = getOption(null, 'defaultTimeout'),
+  interval = getOption(null, 'pollInterval')
+) {
   const start = Date.now();
   const end = start + timeout;
 
@@ -29,7 +55,130 @@ export function waitForMe(cb, timeout = 1000) {
       cb();
       resolve(true);
     } catch(e) {
-      doWait(cb, end, 0, resolve, reject);
+      doWait(cb, end, 0, interval, resolve, reject);
     }
   });
 }
+
+/**
+ * Get the window that a DOM node belongs to. This allows
+ * events to be dispatched into iframes using the correct
+ * `view` and event constructors.
+ */
+export function getWindow(node) {
+  const doc = node && (node.ownerDocument || node);
+  return (doc && doc.defaultView) || window;
+}
+
+/**
+ * Get the center of `element` in client coordinates.
+ */
+export function getCenter(element) {
+  const rect = element.getBoundingClientRect();
+  return {
+    x: rect.left + (rect.width || 0) / 2,
+    y: rect.top + (rect.height || 0) / 2,
+  };
+}
+
+/**
+ * If `element` is an iframe, get the root element of the document
+ * loaded in that frame. Otherwise, return `element`.
+ */
+export function getFrameRoot(element) {
+  if (element && element.tagName === 'IFRAME') {
+    return element.contentDocument
+      ? element.contentDocument.documentElement
+      : null;
+  }
+  return element;
+}
+
+/**
+ * Determine if the content of an iframe has finished loading.
+ */
+export function isFrameLoaded(frame) {
+  const doc = frame.contentDocument;
+  // Browsers create an initial about:blank document
+  // before the frame's source is loaded.
+  const src = frame.getAttribute('src');
+  const isInitialDocument = doc && doc.URL === 'about:blank' &&
+    (frame.hasAttribute('srcdoc') || (src && src !== 'about:blank'));
+
+  return !!doc && doc.readyState === 'complete' && !isInitialDocument;
+}
+
+/**
+ * Calculate the Levenshtein distance between two strings
+ * (the number of single character edits needed to turn
+ * one string into the other).
+ */
+export function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + cost
+      );
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Sort `options` by how similar they are to `target`
+ * (case insensitive), with the most similar first.
+ */
+export function rankBySimilarity(target, options) {
+  const distance = (option) => editDistance(target.toLowerCase(), option.toLowerCase());
+  return options
+    .map((option) => ({ option, distance: distance(option) }))
+    .sort((a, b) => a.distance - b.distance || a.option.localeCompare(b.option))
+    .map(({ option }) => option);
+}
+
+/**
+ * Get the data of a form as an object (using `FormData` semantics
+ * so unchecked checkboxes and disabled controls are omitted).
+ * Fields that can have multiple values (multiple selects and
+ * groups of checkboxes) are always arrays and fields that appear
+ * more than once become arrays.
+ */
+export function getFormValues(form) {
+  const { FormData } = getWindow(form);
+  const values = {};
+  const counts = {};
+
+  Array.from(form.elements).forEach((control) => {
+    if (control.name) {
+      const isCheckbox = control.type === 'checkbox';
+      counts[control.name] = (counts[control.name] || 0) + (isCheckbox ? 1 : 0);
+      if (control.multiple && control.tagName === 'SELECT') {
+        counts[control.name] = Infinity;
+      }
+    }
+  });
+
+  Object.keys(counts)
+    .filter((name) => counts[name] > 1)
+    .forEach((name) => { values[name] = []; });
+
+  new FormData(form).forEach((value, name) => {
+    if (Array.isArray(values[name])) {
+      values[name].push(value);
+    } else if (name in values) {
+      values[name] = [values[name], value];
+    } else {
+      values[name] = value;
+    }
+  });
+
+  return values;
+}
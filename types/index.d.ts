@@ -0,0 +1,460 @@
+// Type definitions for page-o
+//
+// `PageObject` selects elements through a Proxy so the selector
+// properties of a PageObject are inferred from its selectors:
+//
+// const selectors = {
+//   title: '[data-test=title]',
+//   card: ['[data-test=card]', CardPageObject],
+// };
+//
+// class MyPageObject extends PageObject<typeof selectors> {
+//   selectors = selectors;
+// }
+//
+// page.title   // PageSelector
+// page.card    // PageSelector<CardPageObject>
+// page.titel   // Error: Property 'titel' does not exist
+
+import { ReactElement } from 'react';
+
+/*
+ * The text matchers accepted by `@testing-library` queries.
+ */
+export type Matcher =
+  | string
+  | RegExp
+  | ((content: string, element: Element | null) => boolean);
+
+/*
+ * A selector like `{role: 'button', name: /save/i}`. The first supported key
+ * chooses the `@testing-library` query and any other keys are passed as
+ * options to that query.
+ */
+export interface QueryDescriptor {
+  role?: string;
+  label?: Matcher;
+  text?: Matcher;
+  placeholder?: Matcher;
+  altText?: Matcher;
+  title?: Matcher;
+  displayValue?: Matcher;
+  testId?: Matcher;
+  xpath?: string;
+  [option: string]: unknown;
+}
+
+/*
+ * A function that returns the elements matching it inside of `root`.
+ */
+export type SelectorFunction = (root: Element) => ArrayLike<Element> | null | undefined;
+
+/*
+ * A CSS selector (including `>>>` shadow root selectors),
+ * an `xpath:` prefixed XPath expression, a query descriptor
+ * or a selector function.
+ */
+export type Selector = string | QueryDescriptor | SelectorFunction;
+
+/*
+ * Any PageObject class that can be used for nested selectors.
+ */
+export type PageObjectClass<P = any> = new (root?: any, ...args: any[]) => P;
+
+/*
+ * The root that a selector or PageObject selects within. Strings are
+ * either the name of one of the PageObject `roots` or a CSS selector.
+ */
+export type RootDefinition = string | Element | (() => Element | null | undefined);
+
+/*
+ * The ways a selector can be defined in `selectors`.
+ */
+export type SelectorDefinition =
+  | Selector
+  | readonly [Selector, PageObjectClass]
+  | readonly (Selector | PageObjectClass)[]
+  | { selector: Selector; pageObject?: PageObjectClass; root?: RootDefinition };
+
+export type SelectorMap = Record<string, SelectorDefinition>;
+
+/*
+ * Get the PageObject instance type used by a nested selector
+ * definition or `never` if it isn't a nested selector.
+ */
+export type NestedPageObject<D> =
+  D extends readonly (infer U)[]
+    ? Extract<U, PageObjectClass> extends PageObjectClass<infer P> ? P : never
+    : D extends { pageObject: PageObjectClass<infer P> }
+    ? P
+    : never;
+
+/*
+ * The PageSelector type for a selector definition.
+ */
+export type SelectorFor<D> = PageSelector<NestedPageObject<D>>;
+
+/*
+ * The selector properties of a PageObject with the given selectors.
+ */
+export type SelectorProperties<S> = {
+  readonly [K in keyof S]: SelectorFor<S[K]>;
+};
+
+/*
+ * The type of the items returned by `nth()` and the iteration methods
+ * of a PageSelector. Nested selectors return their PageObject.
+ */
+export type SelectorItem<N> = [N] extends [never] ? PageSelector : N;
+
+export interface StrictOptions {
+  missing?: boolean;
+  ambiguous?: boolean;
+}
+
+export interface SandboxIds {
+  root: string;
+  app: string;
+  styles: string;
+}
+
+export interface PageObjectOptions {
+  strict: boolean | StrictOptions;
+  testIdAttribute: string | null;
+  defaultTimeout: number;
+  pollInterval: number;
+  warnOnConflicts: boolean;
+  dropDelay: number | false;
+  settleDelay: number | false;
+  sandboxIds: SandboxIds;
+}
+
+export interface ConfigureOptions extends Partial<Omit<PageObjectOptions, 'sandboxIds'>> {
+  sandboxIds?: Partial<SandboxIds>;
+}
+
+/*
+ * An OPTION of a SELECT element.
+ */
+export interface SelectOption {
+  label: string;
+  value: string;
+  selected: boolean;
+  disabled: boolean;
+}
+
+/*
+ * The values passed to `fill()` keyed by control name, id, label or selector name.
+ */
+export type FormFillValues = Record<string, string | number | boolean | string[] | null | undefined>;
+
+/*
+ * The data of a form as returned by the `values` of a FORM selector.
+ */
+export type FormValues = Record<string, FormDataEntryValue | FormDataEntryValue[]>;
+
+/*
+ * The modifier keys (and other mouse event options) to use when clicking.
+ */
+export interface ClickOptions extends MouseEventInit {
+  ctrlKey?: boolean;
+  shiftKey?: boolean;
+  altKey?: boolean;
+  metaKey?: boolean;
+}
+
+/*
+ * The options of `type()`.
+ */
+export interface TypeOptions {
+  /* Milliseconds to wait between keys. */
+  delay?: number;
+}
+
+/*
+ * The options of `tab()`.
+ */
+export interface TabOptions {
+  /* Move focus backward like shift+tab. */
+  shift?: boolean;
+}
+
+export type SwipeDirection = 'left' | 'right' | 'up' | 'down';
+
+/*
+ * The options of `swipe()` and `pinch()`. Any other
+ * options are used as event init options.
+ */
+export interface GestureOptions extends EventOptions {
+  /* The number of interpolated moves. */
+  steps?: number;
+  /* How long the gesture takes in milliseconds. */
+  duration?: number;
+}
+
+export interface PinchOptions extends GestureOptions {
+  /* The starting distance between the fingers in pixels. */
+  distance?: number;
+}
+
+/*
+ * An element, a PageSelector, the name of a selector (or test id) or
+ * a selector to query inside of the PageObject root.
+ */
+export type DragTarget = Element | PageSelector<any> | Selector;
+
+export interface PointerDragOptions extends MouseEventInit {
+  /* The number of interpolated moves (10 by default). */
+  steps?: number;
+  /* How long to hold the button down before moving in milliseconds. */
+  holdMs?: number;
+  /* The time between moves in milliseconds. */
+  delay?: number;
+}
+
+export interface KeyboardDragOptions {
+  /* The key that picks up the element (`{space}` by default). */
+  pickUpKey?: string;
+  /* The key that drops the element (`{space}` by default). */
+  dropKey?: string;
+  /* The time between key presses in milliseconds. */
+  delay?: number;
+}
+
+/*
+ * The element (or document) receiving a paste event.
+ */
+export type PasteTarget = DragTarget | Document;
+
+/*
+ * The data of `paste()` and `drop()`: a string for each MIME type
+ * (ex. `text/plain`, `text/html`) and the `files`. `text/uri-list`
+ * also accepts a list of URLs.
+ */
+export interface DataTransferData {
+  files?: File | Blob | (File | Blob)[];
+  'text/uri-list'?: string | string[];
+  [type: string]: string | string[] | File | Blob | (File | Blob)[] | undefined;
+}
+
+/*
+ * The effects of the DataTransfer created by `paste()` and `drop()`.
+ */
+export interface DataTransferEffects {
+  dropEffect?: 'none' | 'copy' | 'link' | 'move';
+  effectAllowed?: DataTransfer['effectAllowed'];
+}
+
+/*
+ * The delays of the drop methods (see `PageObject.configure()`).
+ */
+export interface DropTiming {
+  /* `false` skips the timer. */
+  dropDelay?: number | false;
+  settleDelay?: number | false;
+}
+
+/*
+ * The event options and delays of the drop methods.
+ */
+export type DropOptions = EventOptions & DropTiming;
+
+/*
+ * The object returned by `drag()`.
+ */
+export interface Drag {
+  to(target: DragTarget | { x: number; y: number }, options?: PointerDragOptions): Promise<void>;
+  withKeyboard(keys: string, options?: KeyboardDragOptions): Promise<void>;
+}
+
+/*
+ * Extra properties to set on simulated events.
+ */
+export type EventOptions = Record<string, unknown>;
+
+/*
+ * An object that is configured to interact with a specific element
+ * in the DOM. `N` is the PageObject type of nested selectors.
+ */
+export interface PageSelector<N = never> {
+  readonly selector: Selector | null;
+  readonly root: Element;
+  readonly name?: string;
+  readonly description: string;
+
+  /* The first matching element. Throws if missing in strict mode. */
+  readonly element: HTMLElement | null;
+  readonly allElements: ArrayLike<HTMLElement>;
+  elementAt(index: number): HTMLElement | null;
+  nth(index: number): SelectorItem<N>;
+  /** @deprecated Use `nth()` instead. */
+  nthChild(index: number): PageSelector;
+
+  toArray(): SelectorItem<N>[];
+  forEach(callback: (item: SelectorItem<N>, index: number) => void): void;
+  map<U>(callback: (item: SelectorItem<N>, index: number) => U): U[];
+  filter(callback: (item: SelectorItem<N>, index: number) => unknown): SelectorItem<N>[];
+  find(callback: (item: SelectorItem<N>, index: number) => unknown): SelectorItem<N> | undefined;
+  some(callback: (item: SelectorItem<N>, index: number) => unknown): boolean;
+  every(callback: (item: SelectorItem<N>, index: number) => unknown): boolean;
+  [Symbol.iterator](): Iterator<SelectorItem<N>>;
+
+  withText(text: string | RegExp): PageSelector<N>;
+  withAttribute(name: string, value?: string | number | RegExp): PageSelector<N>;
+  containing(selector: Selector | PageSelector<any>): PageSelector<N>;
+  not(selector: Selector | PageSelector<any>): PageSelector<N>;
+
+  readonly parent: PageSelector;
+  closest(selector: Selector): PageSelector;
+  readonly children: PageSelector;
+  readonly nextSibling: PageSelector;
+  readonly previousSibling: PageSelector;
+  readonly siblings: PageSelector;
+  labeled(text: string | RegExp): PageSelector;
+
+  readonly count: number;
+  readonly exists: boolean;
+  readonly visible: boolean;
+  readonly text: string | undefined;
+  readonly classList: DOMTokenList;
+  hasClass(className: string): boolean;
+  readonly disabled: boolean;
+  readonly focused: boolean;
+  attribute(name: string): string | null;
+
+  get checked(): boolean | undefined;
+  set checked(value: boolean | undefined);
+  /* Checkboxes return their checked state and radio groups their checked value. */
+  get value(): string | boolean | null | undefined;
+  set value(value: string | number | boolean | (string | RegExp)[] | null | undefined);
+  /*
+   * The values of the matching elements (`(string | boolean | undefined)[]`),
+   * the checked values of a checkbox group or the `FormValues` of a form.
+   */
+  values: any;
+
+  readonly options: SelectOption[];
+  readonly selectedOptions: Pick<SelectOption, 'label' | 'value'>[];
+  selectOption(labelOrValue: string | RegExp): void;
+  selectOptions(labelsOrValues: (string | RegExp)[]): void;
+  deselectOption(labelOrValue: string | RegExp): void;
+
+  field(name: string): PageSelector;
+  fill(values: FormFillValues): void;
+  /** @deprecated Use `values` instead. */
+  readonly childValues: (string | boolean | undefined)[];
+
+  click(options?: ClickOptions): boolean;
+  clickNth(index: number, options?: ClickOptions): boolean | undefined;
+  hover(options?: MouseEventInit): void;
+  unhover(options?: MouseEventInit): void;
+  /* Hover the point `x`, `y` relative to the top left corner of the element. */
+  moveMouse(x: number, y: number, options?: MouseEventInit): void;
+  tap(options?: EventOptions): boolean;
+  longPress(duration?: number, options?: EventOptions): Promise<void>;
+  swipe(direction: SwipeDirection, distance?: number, options?: GestureOptions): Promise<void>;
+  pinch(scale: number, options?: PinchOptions): Promise<void>;
+  focus(): void;
+  blur(): void;
+  submit(): boolean;
+  pressEnter(): void;
+  /* Type text including `{key}` tokens like `{enter}` or `{ctrl+a}`. */
+  type(text: string, options?: TypeOptions): Promise<void>;
+
+  await(timeout?: number): Promise<boolean>;
+  awaitRemoval(timeout?: number): Promise<void>;
+}
+
+/*
+ * The properties and methods shared by every PageObject.
+ */
+export interface PageObjectBase {
+  readonly root: HTMLElement | null;
+  sandbox: HTMLElement | null;
+  sandboxApp: HTMLElement | null;
+  selectors?: SelectorMap;
+  additionalSelectors?: SelectorMap;
+  readonly allSelectors: SelectorMap;
+  roots: Record<string, RootDefinition>;
+
+  // Per PageObject overrides of the global configuration.
+  strict: boolean | StrictOptions | null;
+  testIdAttribute: string | null;
+  defaultTimeout: number | null;
+  pollInterval: number | null;
+  warnOnConflicts: boolean | null;
+  dropDelay: number | false | null;
+  settleDelay: number | false | null;
+  /* The configured `sandboxIds` merged with the ids set on this PageObject. */
+  get sandboxIds(): SandboxIds;
+  set sandboxIds(ids: Partial<SandboxIds> | null);
+
+  render(definition: ReactElement, styles?: string | null, additionalDOM?: string): HTMLElement;
+  destroySandbox(): void;
+  setStyles(styles: string): void;
+  removeStyles(): void;
+  select(selector: string): Element | null;
+  selectAll(selector: string): NodeListOf<Element>;
+  submit(): void;
+  findByTestName(testName: string): Element | null;
+
+  await(timeout?: number): Promise<boolean>;
+  waitFor(test: (page: this) => boolean, timeout?: number): Promise<boolean>;
+  awaitCustomElements(timeout?: number): Promise<boolean>;
+
+  /* Move focus to the next (or previous) element in `focusOrder`. */
+  tab(options?: TabOptions): PageSelector | null;
+  readonly focusOrder: PageSelector[];
+
+  drag(from: DragTarget): Drag;
+
+  setInputValue(value: string, input: HTMLInputElement): void;
+  clickElement(element: Element, options?: ClickOptions): boolean;
+  dispatchEvent(
+    element: EventTarget,
+    eventName: string,
+    eventConstructor?: new (type: string, init?: any) => Event,
+    options?: EventOptions
+  ): void;
+
+  paste(data: DataTransferData, target?: PasteTarget, options?: EventOptions & DataTransferEffects): boolean;
+  drop(target: DragTarget, data: DataTransferData, options?: DropOptions & DataTransferEffects): Promise<void>;
+
+  pasteFiles(files: (File | Blob)[], element?: PasteTarget, options?: EventOptions, dropEffect?: string, effectAllowed?: string): boolean;
+  pasteURLs(urls: string | string[], element?: PasteTarget, options?: EventOptions, dropEffect?: string, effectAllowed?: string): boolean;
+  pasteText(text: string, element?: PasteTarget, options?: EventOptions, dropEffect?: string, effectAllowed?: string): boolean;
+
+  dragURLs(element: DragTarget, urls: string | string[], x?: number, y?: number, options?: EventOptions): void;
+  dropURLs(element: DragTarget, urls: string | string[], x?: number, y?: number, done?: (() => void) | null, options?: DropOptions): Promise<void>;
+  dragText(element: DragTarget, text: string, x?: number, y?: number, options?: EventOptions): void;
+  dropText(element: DragTarget, text: string, x?: number, y?: number, done?: (() => void) | null, options?: DropOptions): Promise<void>;
+  dragFiles(element: DragTarget, files: File | File[], x?: number, y?: number, options?: EventOptions): void;
+  dropFiles(element: DragTarget, files: File | File[], x?: number, y?: number, done?: (() => void) | null, options?: DropOptions): Promise<void>;
+  dragAndDropElement(
+    element: DragTarget,
+    deltaX: number,
+    deltaY: number,
+    dropTarget?: DragTarget | null,
+    done?: (() => void) | null,
+    options?: DropTiming
+  ): Promise<void>;
+}
+
+/*
+ * A PageObject with selector properties for each of the selectors in `S`.
+ */
+export type PageObjectInstance<S = {}> = PageObjectBase & SelectorProperties<S>;
+
+export interface PageObjectConstructor {
+  new <S extends object = {}>(
+    root?: Element | null | false,
+    selectors?: S
+  ): PageObjectInstance<S>;
+  readonly prototype: PageObjectBase;
+  configure(options: ConfigureOptions): PageObjectOptions;
+}
+
+declare const PageObject: PageObjectConstructor;
+type PageObject<S extends object = {}> = PageObjectInstance<S>;
+
+export default PageObject;